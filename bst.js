@@ -12,16 +12,19 @@
  * pointers to facilitate the implementation of BSTs, such as `left`, `right`, and 
  * `parent`.
  * 
- * The `key` property must contain values that are part of a partially ordered set. That,
- * in practice, means values for which the `<` operator can be evaluated.
- * Javascript is not too picky about what objects are compared, so you can insert in the
- * BST etherogenous objects.
+ * The `key` property must contain values that are part of a totally ordered set. The order
+ * is not defined by the node itself, but by the comparator function of the tree that
+ * contains it (see `defaultCompare()`).
  * 
  * For more details, see also the `BinarySearchTree` class.
  */
 class BstNode {
     constructor(key) {
         this.key = key;
+        // number of occurrences of `key`, greater than 1 only in multiset trees
+        this.count = 1;
+        // number of keys in the subtree rooted at this node (occurrences included)
+        this.subtreeSize = 1;
         this.parent = null;
         this.left = null;
         this.right = null;
@@ -67,6 +70,185 @@ class BstNode {
  */
 const Dir = { LEFT: 0, RIGHT: 1 };
 
+/**
+ * Return the number of keys in the subtree rooted at `node`, 0 for an empty subtree.
+ * @param {BstNode} node A node or `null`.
+ */
+function subtreeSize(node) {
+    return node ? node.subtreeSize: 0;
+}
+
+/**
+ * An augmentation is a value that every node stores about its own subtree, e.g. its
+ * size, kept up to date by `BinarySearchTree._updateNode()` whenever the subtree changes.
+ * It is described by an object with the following properties:
+ * - `name`: the property of the node that holds the value;
+ * - `empty`: the value of an empty subtree (i.e. of a `null` child);
+ * - `compute(node, left, right)`: the value of `node`, given the values of its children.
+ */
+const sizeAugmentation = {
+    name: 'subtreeSize',
+    empty: 0,
+    compute: (node, left, right) => left + node.count + right,
+};
+
+/**
+ * Return an augmentation that computes a monoid over the keys of each subtree, in key
+ * order. A monoid is an object with the following properties:
+ * - `identity`: the neutral element, which is the value of an empty subtree;
+ * - `combine(a, b)`: an associative function, e.g. `(a, b) => a + b` or `Math.max`;
+ * - `fromKey(key)`: the value of a single key.
+ * In a multiset, a key that occurs k times contributes k times its value.
+ * 
+ * @param {string} name The property of the node that holds the value.
+ * @param {Object} monoid The monoid `{identity, combine, fromKey}`.
+ * @return {Object} The augmentation.
+ */
+function monoidAugmentation(name, monoid) {
+    if (monoid == null || typeof(monoid) !== 'object' || ! ('identity' in monoid) ||
+        typeof(monoid.combine) !== 'function' || typeof(monoid.fromKey) !== 'function')
+        throw new TypeError('A monoid must be an object with `identity`, `combine()` and `fromKey()`');
+    const combine = monoid.combine;
+    return {
+        name: name,
+        empty: monoid.identity,
+        compute: (node, left, right) => combine(combine(left, keyValue(monoid, node)), right),
+    };
+}
+
+/**
+ * Return the value of the key of `node` in a monoid, counting every occurrence: the
+ * value of a key is combined with itself by repeated doubling, in O(log count) steps.
+ * @param {Object} monoid The monoid `{identity, combine, fromKey}`.
+ * @param {BstNode} node The node.
+ */
+function keyValue(monoid, node) {
+    const {identity, combine, fromKey} = monoid;
+    let value = fromKey(node.key);
+    if (node.count == 1)
+        return value;
+    let result = identity;
+    for (let count = node.count; count > 0; count >>>= 1) {
+        if (count & 1)
+            result = combine(result, value);
+        value = combine(value, value);
+    }
+    return result;
+}
+
+/**
+ * Default comparator used by `BinarySearchTree` when none is provided.
+ * Numbers (and BigInts) are compared numerically, strings by UTF-16 code units, which is
+ * what the `<` operator does. Keys of different types cannot be ordered in a meaningful
+ * way and are rejected, as is `NaN`, which is not even equal to itself.
+ * 
+ * @param {number|bigint|string} a First key.
+ * @param {number|bigint|string} b Second key.
+ * @return {number} A negative number if `a < b`, a positive number if `a > b`, 0 otherwise.
+ */
+function defaultCompare(a, b) {
+    const typeA = typeof(a);
+    const typeB = typeof(b);
+    if (typeA !== typeB)
+        throw new TypeError(`Cannot compare keys of different types: ${typeA} and ${typeB}`);
+    if (typeA !== 'number' && typeA !== 'bigint' && typeA !== 'string')
+        throw new TypeError(`Keys of type ${typeA} require a custom comparator`);
+    if (Number.isNaN(a) || Number.isNaN(b))
+        throw new TypeError('NaN cannot be used as a key');
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * Return a path from the root of a tree as a string, e.g. "root.left.right".
+ * @param {Array} path The directions from the root, 'left' or 'right'.
+ */
+function formatPath(path) {
+    return ['root', ...path].join('.');
+}
+
+/**
+ * Return a readable description of a violation found by `BinarySearchTree.validate()`,
+ * e.g. "order at root.left.right (key 7): ...".
+ * @param {Object} violation A violation, see `ValidationReport`.
+ */
+function describeViolation({rule, message, path, key}) {
+    if (path == null)
+        return `${rule}: ${message}`;
+    return `${rule} at ${formatPath(path)} (key ${String(key)}): ${message}`;
+}
+
+/**
+ * The result of `BinarySearchTree.validate()`: the list of the invariants of the tree
+ * that are violated, in `violations`. Each violation is an object with the properties:
+ * - `rule`: the invariant, e.g. 'order', 'parent' or 'size';
+ * - `message`: a description of the violation;
+ * - `path`: the path from the root to the node where the violation was found, as an
+ *   array of 'left' and 'right' (empty for the root), or null if the violation is
+ *   about the whole tree. It takes O(depth) time, so it is only computed when read;
+ * - `key`: the key of that node (undefined if `path` is null).
+ */
+class ValidationReport {
+    /** Thrown by `add()` when the report is full, to stop the validation. */
+    static FULL = Symbol('ValidationReport.FULL');
+
+    /**
+     * @param {number} maxViolations The number of violations after which the validation
+     *                               stops, see `add()`.
+     */
+    constructor(maxViolations=Infinity) {
+        this.maxViolations = maxViolations;
+        this.violations = [];
+        // parent and direction of each node visited, to find the paths lazily
+        this._steps = new Map();
+    }
+
+    /** True if and only if no violation has been found. */
+    get valid() {
+        return this.violations.length == 0;
+    }
+
+    /**
+     * Return the path from the root to `node`, as an array of 'left' and 'right'.
+     * Only the nodes already visited by `validate()` have a path.
+     * @param {BstNode} node A node of the tree.
+     */
+    pathOf(node) {
+        let path = [];
+        for (let step = this._steps.get(node); step; step = this._steps.get(step.parent))
+            path.push(step.direction);
+        return path.reverse();
+    }
+
+    /**
+     * Record a violation.
+     * @param {BstNode} node The node where the violation was found, or null if it is
+     *                       about the whole tree.
+     * @param {string} rule The invariant that is violated.
+     * @param {string} message A description of the violation.
+     * @throws {Symbol} `ValidationReport.FULL` once `maxViolations` violations have been
+     *                  recorded, which `validate()` catches to stop early.
+     */
+    add(node, rule, message) {
+        if (this.violations.length >= this.maxViolations)
+            throw ValidationReport.FULL;
+        let violation = {rule: rule, message: message, key: node ? node.key: undefined};
+        // a tree with many violations may also be deep: find the path when it is needed
+        let path = node ? undefined: null;
+        Object.defineProperty(violation, 'path', {
+            enumerable: true,
+            get: () => path === undefined ? (path = this.pathOf(node)): path,
+        });
+        this.violations.push(violation);
+        if (this.violations.length >= this.maxViolations)
+            throw ValidationReport.FULL;
+    }
+
+    /** One line for each violation, see `describeViolation()`. */
+    toString() {
+        return this.violations.map(describeViolation).join('\n');
+    }
+}
+
 /**
  * Binary Search Tree that implements the following operations:
  * search(key)
@@ -76,17 +258,392 @@ const Dir = { LEFT: 0, RIGHT: 1 };
  * successor(key)
  * min()
  * max()
+ * 
+ * Keys are ordered by a comparator function `(a, b) => number`, with the same contract
+ * as the one accepted by `Array.prototype.sort()`. Two keys are considered the same
+ * key when the comparator returns 0.
+ * 
+ * By default duplicate keys are not allowed. In multiset mode, instead, each node counts
+ * the occurrences of its key in `node.count`: inserting a key already in the tree
+ * increments the count of its node, and deleting it decrements the count. Only the first
+ * inserted key is stored, which is fine as long as keys that compare equal are
+ * interchangeable.
  */
 class BinarySearchTree {
-    constructor() {
+    /** Version of the format produced by `toJSON()`. */
+    static JSON_VERSION = 1;
+
+    /**
+     * @param {Function} compare Comparator `(a, b) => number` that defines the order of the
+     *                           keys. Defaults to `defaultCompare()`, which handles numbers
+     *                           and strings.
+     * @param {Object} options   Optional settings:
+     *                           `multiset`: if true, duplicate keys are allowed and counted;
+     *                           `aggregate`: a monoid `{identity, combine, fromKey}` (see
+     *                           `monoidAugmentation()`) computed over every subtree, and
+     *                           stored in `node.aggregate`, for `aggregate()` queries.
+     */
+    constructor(compare=defaultCompare, {multiset=false, aggregate=null}={}) {
+        if (typeof(compare) !== 'function')
+            throw new TypeError('The comparator must be a function; got: ' + typeof(compare));
+        this.compare = compare;
+        this.multiset = Boolean(multiset);
+        this.monoid = aggregate;
         this.root = null;
         this._size = 0;
+        // the values stored in the nodes about their subtrees; subclasses add their own
+        this._augmentations = [sizeAugmentation];
+        if (aggregate != null)
+            this._augmentations.push(monoidAugmentation('aggregate', aggregate));
+    }
+
+    /**
+     * Return the options to create a tree with the same settings as this one, see the
+     * constructor. Subclasses with more options add them here.
+     */
+    _options() {
+        return {multiset: this.multiset, aggregate: this.monoid};
+    }
+
+    /**
+     * Build a tree of minimum height from keys already sorted by `compare`. The middle
+     * key becomes the root, and the two halves are built recursively as its subtrees.
+     * Called on a subclass (e.g. `AVLTree.fromSorted()`), a tree of that class is built.
+     * 
+     * Complexity: O(n)
+     * 
+     * @param {Iterable} keys The keys, in ascending order. Duplicates are allowed only
+     *                        if `options.multiset` is true.
+     * @param {Function} compare Comparator of the keys, see `BinarySearchTree`.
+     * @param {Object} options Optional settings, see `BinarySearchTree`.
+     * @return {BinarySearchTree} A new tree with all the keys.
+     */
+    static fromSorted(keys, compare=defaultCompare, options={}) {
+        const tree = new this(compare, options);
+        const sorted = Array.from(keys);
+        // validate the order, and merge the occurrences of the same key in a multiset
+        let unique = [];
+        let counts = [];
+        for (let i = 0; i < sorted.length; i++) {
+            const cmp = i == 0 ? tree._compare(sorted[i], sorted[i]): tree._compare(sorted[i-1], sorted[i]);
+            if (i > 0 && cmp > 0)
+                throw new Error(`Keys are not sorted: ${String(sorted[i-1])} comes before ${String(sorted[i])}`);
+            else if (i > 0 && cmp == 0) {
+                if (! tree.multiset)
+                    throw new Error('Duplicate key: ' + String(sorted[i]));
+                counts[counts.length - 1] += 1;
+            }
+            else {
+                unique.push(sorted[i]);
+                counts.push(1);
+            }
+        }
+        // build the subtree of the keys in [lo, hi); the recursion depth is O(log n)
+        const build = (lo, hi) => {
+            if (lo >= hi)
+                return null;
+            const mid = (lo + hi) >>> 1;
+            const node = tree._createNode(unique[mid]);
+            node.count = counts[mid];
+            const left = build(lo, mid);
+            const right = build(mid + 1, hi);
+            if (left)
+                node.addLeft(left);
+            if (right)
+                node.addRight(right);
+            tree._updateNode(node);
+            return node;
+        };
+        tree.root = build(0, unique.length);
+        tree._size = sorted.length;
+        tree._afterRebuild();
+        return tree;
+    }
+
+    /**
+     * Rebuild a tree from the output of `toJSON()`, either as an object or as a JSON
+     * string. A tree saved in "keys" mode is rebuilt balanced with `fromSorted()`, one
+     * saved in "shape" mode is rebuilt exactly as it was. Called on a subclass (e.g.
+     * `AVLTree.fromJSON()`), a tree of that class is built; in "shape" mode, the saved
+     * shape must satisfy the invariants of that class.
+     * 
+     * Complexity: O(n)
+     * 
+     * @param {Object|string} json The serialized tree.
+     * @param {Object} options `compare`: comparator of the keys (default `defaultCompare`);
+     *                         `decode`: function that converts a serialized key back into
+     *                         a key, the inverse of the `encode` option of `toJSON()`;
+     *                         any other option is passed to the constructor of the tree,
+     *                         e.g. `aggregate`, except `multiset`, which is saved in the
+     *                         JSON.
+     * @return {BinarySearchTree} A new tree.
+     */
+    static fromJSON(json, {compare=defaultCompare, decode=(value) => value, ...treeOptions}={}) {
+        let data = json;
+        if (typeof(data) === 'string') {
+            try {
+                data = JSON.parse(data);
+            }
+            catch (e) {
+                throw new Error('Invalid tree JSON: ' + e.message);
+            }
+        }
+        const invalid = (reason) => new Error('Invalid tree JSON: ' + reason);
+        if (data == null || typeof(data) !== 'object')
+            throw invalid('not an object');
+        if (data.version !== BinarySearchTree.JSON_VERSION)
+            throw invalid('unsupported version ' + String(data.version));
+        const options = {...treeOptions, multiset: data.multiset === true};
+        if (data.mode === 'keys') {
+            if (! Array.isArray(data.keys))
+                throw invalid('`keys` must be an array');
+            try {
+                return this.fromSorted(data.keys.map(decode), compare, options);
+            }
+            catch (e) {
+                throw invalid(e.message);
+            }
+        }
+        else if (data.mode === 'shape') {
+            if (! Array.isArray(data.nodes))
+                throw invalid('`nodes` must be an array');
+            const tree = new this(compare, options);
+            // rebuild the pre-order visit: each node waits on the stack for its children
+            let nodes = [];
+            let stack = [];
+            let i = 0;
+            for (; i < data.nodes.length; i++) {
+                const value = data.nodes[i];
+                const node = value === null ? null: tree._createNode(decode(value));
+                if (i == 0)
+                    tree.root = node;
+                else if (stack.length == 0)
+                    break;
+                else {
+                    const top = stack[stack.length - 1];
+                    if (top.direction == Dir.LEFT) {
+                        top.node.left = node;
+                        top.direction = Dir.RIGHT;
+                    }
+                    else {
+                        top.node.right = node;
+                        stack.pop();
+                    }
+                    if (node)
+                        node.parent = top.node;
+                }
+                if (node) {
+                    nodes.push(node);
+                    stack.push({node: node, direction: Dir.LEFT});
+                }
+            }
+            if (i < data.nodes.length || data.nodes.length == 0)
+                throw invalid('`nodes` does not describe a single tree');
+            if (stack.length > 0)
+                throw invalid('`nodes` ends before the tree is complete');
+            if (options.multiset) {
+                if (! Array.isArray(data.counts) || data.counts.length !== nodes.length)
+                    throw invalid('`counts` must have an element for each node');
+                nodes.forEach((node, j) => node.count = data.counts[j]);
+            }
+            // validate every key, as `insert()` does: the keys are only compared with
+            // their bounds, and a single node has none
+            for (const node of nodes) {
+                try {
+                    tree._compare(node.key, node.key);
+                }
+                catch (e) {
+                    throw invalid(e.message);
+                }
+            }
+            tree._shapeFromJSON(data, nodes);
+            tree._size = 0;
+            for (const node of tree._nodesBottomUp()) {
+                tree._updateNode(node);
+                tree._size += node.count;
+            }
+            let report = null;
+            try {
+                report = tree.validate({maxViolations: 1});
+            }
+            catch (e) {
+                throw invalid(e.message);
+            }
+            if (! report.valid)
+                throw invalid(`the keys do not make a valid ${this.name}: ` +
+                    describeViolation(report.violations[0]));
+            return tree;
+        }
+        else
+            throw invalid('unknown mode ' + String(data.mode));
+    }
+
+    /**
+     * Return a representation of the tree that can be converted to JSON, which is also
+     * what `JSON.stringify(tree)` does. There are two modes:
+     * - "keys" (the default): just the sorted keys. Compact, but the shape of the tree
+     *   is lost: `fromJSON()` rebuilds it balanced;
+     * - "shape": the keys in pre-order, with `null` in place of each missing child, so
+     *   that `fromJSON()` can rebuild exactly the same tree.
+     * In both modes, the output has a `version` field, to be able to read it back in
+     * the future, and a `multiset` field. In "shape" mode, the counts of a multiset are
+     * in the `counts` array, one element for each node in pre-order.
+     * 
+     * Complexity: O(n)
+     * 
+     * @param {Object} options `mode`: "keys" or "shape"; `encode`: function that converts
+     *                         a key into a value that can be converted to JSON (not
+     *                         `null`), for keys that are not numbers or strings.
+     * @return {Object} The representation of the tree.
+     */
+    toJSON(options) {
+        // `JSON.stringify()` calls `toJSON()` with a string argument
+        const {mode='keys', encode=(key) => key} = (options && typeof(options) === 'object') ? options: {};
+        const encodeKey = (key) => {
+            const value = encode(key);
+            if (value == null)
+                throw new Error('Cannot serialize key ' + String(key) + ': it is encoded as ' + value);
+            return value;
+        };
+        let data = {version: BinarySearchTree.JSON_VERSION, mode: mode, multiset: this.multiset};
+        if (mode === 'keys')
+            data.keys = Array.from(this, encodeKey);
+        else if (mode === 'shape') {
+            // iterative pre-order visit, with `null` markers for the missing children
+            data.nodes = [];
+            let nodes = [];
+            let stack = [this.root];
+            while (stack.length > 0) {
+                const node = stack.pop();
+                if (node == null)
+                    data.nodes.push(null);
+                else {
+                    data.nodes.push(encodeKey(node.key));
+                    nodes.push(node);
+                    stack.push(node.right);
+                    stack.push(node.left);
+                }
+            }
+            if (this.multiset)
+                data.counts = nodes.map(node => node.count);
+            this._shapeToJSON(data, nodes);
+        }
+        else
+            throw new Error('Unknown serialization mode: ' + String(mode));
+        return data;
+    }
+
+    /**
+     * Called by `toJSON()` in "shape" mode to add to `data` what subclasses need to
+     * rebuild the same tree, besides its keys. Nothing to add for a plain BST.
+     * @param {Object} data The serialized tree.
+     * @param {BstNode[]} nodes The nodes of the tree in pre-order.
+     */
+    _shapeToJSON(data, nodes) {
+    }
+
+    /**
+     * Called by `fromJSON()` in "shape" mode to restore into `nodes` what has been saved
+     * by `_shapeToJSON()`. Nothing to restore for a plain BST.
+     * @param {Object} data The serialized tree.
+     * @param {BstNode[]} nodes The nodes of the tree in pre-order.
+     */
+    _shapeFromJSON(data, nodes) {
+    }
+
+    /**
+     * Create a new node for `key`. Subclasses that need a richer node type (e.g. with
+     * balancing information) override this method, so that all the insertion algorithms
+     * of the base class can be reused.
+     * @param {any} key The key of the new node.
+     * @return {BstNode} A new, detached node.
+     */
+    _createNode(key) {
+        return new BstNode(key);
+    }
+
+    /**
+     * Called after a new node has been attached to the tree by `insert()` or
+     * `insertRec()`. It does nothing in a plain BST; self-balancing subclasses override
+     * it to restore their invariants.
+     * @param {BstNode} node The node just inserted.
+     */
+    _afterInsert(node) {
+    }
+
+    /**
+     * Recompute the information that a node stores about its own subtree, i.e. all the
+     * augmentations of the tree (its size, at least), after its children or its count
+     * have changed. The children must be up to date.
+     * @param {BstNode} node The node to update.
+     */
+    _updateNode(node) {
+        for (const {name, empty, compute} of this._augmentations)
+            node[name] = compute(node,
+                node.left ? node.left[name]: empty,
+                node.right ? node.right[name]: empty);
+    }
+
+    /**
+     * Update `node` and all of its ancestors with `_updateNode()`, bottom-up.
+     * 
+     * Complexity: O(h)
+     * 
+     * @param {BstNode} node The deepest node whose subtree has changed (may be null).
+     */
+    _updatePath(node) {
+        for (; node != null; node = node.parent)
+            this._updateNode(node);
+    }
+
+    /**
+     * Called after a node has been removed from the tree by `del()`.
+     * It does nothing in a plain BST; self-balancing subclasses override it to restore
+     * their invariants.
+     * @param {BstNode} node The deepest node whose subtree has changed, i.e. where the
+     *                       tree should be retraced from. `null` if the root was changed.
+     */
+    _afterDelete(node) {
+    }
+
+    /**
+     * Called after the whole tree has been rebuilt as a tree of minimum height, by
+     * `fromSorted()` or `rebalance()`, and all of its nodes have been updated with
+     * `_updateNode()`. Subclasses override it to set up their own balancing information.
+     */
+    _afterRebuild() {
+    }
+
+    /**
+     * Compare two keys with the comparator of this tree and validate the result, so that
+     * keys that cannot be ordered (e.g. `NaN` with `(a, b) => a - b`) are reported
+     * instead of silently corrupting the tree.
+     * @param {any} a First key.
+     * @param {any} b Second key.
+     * @return {number} Negative, zero or positive as `a` is less, equal or greater than `b`.
+     */
+    _compare(a, b) {
+        const result = this.compare(a, b);
+        if (typeof(result) !== 'number' || Number.isNaN(result))
+            throw new TypeError(`Keys cannot be compared: ${String(a)} and ${String(b)}`);
+        return result;
     }
 
+    /** Number of keys in the tree. In multiset mode, every occurrence is counted. */
     size() {
         return this._size;
     }
 
+    /**
+     * Return the number of occurrences of `key` in the tree: 0 or 1, unless the tree
+     * is a multiset.
+     * @param {any} key The key to count.
+     */
+    count(key) {
+        const node = this.search(key);
+        return node ? node.count: 0;
+    }
+
     /** Insert a new key in the BST. 
      * @param {any} key     A key value not already in the BST. This implementation of `insert()`
      *                      will not add a duplicate value. The function returns `true` if the 
@@ -111,11 +668,11 @@ class BinarySearchTree {
      */
     _addRecOld(node, key) {
         if (node != null)
-            if (node.key == key) {
+            if (this._compare(key, node.key) == 0) {
                 console.log(`!! Warning: duplicate key detected ${key}`);
                 return;
             }
-            else if (node.key > key)
+            else if (this._compare(key, node.key) < 0)
                 if (node.left == null) {
                     let newNode = new BstNode(key);
                     newNode.parent = node;
@@ -139,11 +696,16 @@ class BinarySearchTree {
      * in practice.
      * 
      * @param {any} key  The value to be inserted in the tree. Must be comparable to the
-     *                   values already in the tree (i.e. `<` makes sense).
+     *                   values already in the tree by the comparator of the tree.
      */
     insertRec(key) {
-        this._addRec(this.root, key, null);
+        const newNode = this._addRec(this.root, key, null);
         this._size += 1;
+        // a multiset duplicate does not add any node to the tree
+        this._updatePath(newNode);
+        if (newNode.count == 1)
+            this._afterInsert(newNode);
+        return newNode;
     }
 
     /**
@@ -152,133 +714,346 @@ class BinarySearchTree {
      * @param {any} key The value to be inserted in the tree.
      * @param {BstNode} parent The parent of the current node (can be null if none).
      * @param {Dir} direction Can be Dir.LEFT or Dir.RIGHT
+     * @return {BstNode} The new node, or the node of `key` if it is a multiset duplicate.
      */
     _addRec(node, key, parent, direction) {
         if (node == null) {
             // recursion base case: we reached the location where the node must be added
-            let newNode = new BstNode(key);
-            if (parent == null)
-                // empty root node case: `node` and `parent` are both null
+            let newNode = this._createNode(key);
+            if (parent == null) {
+                // empty root node case: `node` and `parent` are both null; the key
+                // has not been compared with anything yet, so validate it here
+                this._compare(key, key);
                 this.root = newNode;
+            }
             else if (direction == Dir.LEFT)
                 parent.addLeft(newNode);
             else // direction == Dir.RIGHT
                 parent.addRight(newNode);
+            return newNode;
         }
-        else if (node.key == key)
+        else {
+            const cmp = this._compare(key, node.key);
+            if (cmp == 0 && this.multiset) {
+                node.count += 1;
+                return node;
+            }
+            else if (cmp == 0)
                 // duplicates not allowed
                 throw new Error(`Duplicate key detected ${key}`);
-            else if (key < node.key)
+            else if (cmp < 0)
                 // traverse left
-                this._addRec(node.left, key, node, Dir.LEFT);
+                return this._addRec(node.left, key, node, Dir.LEFT);
             else // node.key < key
                 // traverse right
-                this._addRec(node.right, key, node, Dir.RIGHT);
+                return this._addRec(node.right, key, node, Dir.RIGHT);
+        }
     }
 
+    /**
+     * Insert a new key in the BST. Duplicate keys are not allowed, unless this tree is
+     * a multiset, in which case the count of the existing node is incremented.
+     * @param {any} key The key to be inserted. It must be comparable to the keys already
+     *                  in the tree by the comparator of the tree.
+     * @return {BstNode} The node containing `key`.
+     */
     insert(key) {
         let node = this.root;
         let parent = null;
+        let cmp = 0;
         while (node != null) {
             parent = node;
-            if (key == node.key)
+            cmp = this._compare(key, node.key);
+            if (cmp == 0 && this.multiset) {
+                node.count += 1;
+                this._size += 1;
+                this._updatePath(node);
+                return node;
+            }
+            else if (cmp == 0)
                 throw new Error('Duplicate key: ' + JSON.stringify(key));
-            else if (key < node.key)
+            else if (cmp < 0)
                 node = node.left;
             else
                 node = node.right;
         }
+        // an empty tree does not compare anything, but the key must still be valid
+        if (parent == null)
+            this._compare(key, key);
         // at this point we found the node to insert (parent)
-        let newNode = new BstNode(key);
+        let newNode = this._createNode(key);
         if (parent == null)
             // empty tree; the only node allowed a `null` parent would be the root
             this.root = newNode;
-        else if (key < parent.key)
+        else if (cmp < 0)
             parent.addLeft(newNode);
         else
             parent.addRight(newNode);
         this._size += 1;
+        this._updatePath(newNode);
+        this._afterInsert(newNode);
+        return newNode;
     }
 
 
     /**
-     * Verify that the BST invariant is maintained for each node.
-     * In addition, a check is made for the uniqueness of each key. 
-     * This simple implementation does not allow duplicates, although it would not be
-     * too hard to add using an overflow-list technique.
-     * 
+     * Verify that the BST invariant is maintained for each node, according to the
+     * comparator of the tree, as well as the invariants of the subclass, see `validate()`.
+     *
      * Complexity: O(n) where n = this.size(), the number of nodes in the BST.
-     * 
+     *
      * Do not call this method often because it is slow if there are many nodes.
      * This method is useful for debugging purposes.
+     *
+     * @return {boolean} True if and only if no invariant is violated.
      */
     checkInvariant() {
-        let queue = [];
-        let mapUnique = new Map();
-        if (! this.isEmpty())
-            queue.push(this.root);
-        while (queue.length > 0) {
-            let node = queue.pop();
-            // check it is not a duplicate key
-            if (mapUnique.has(node))
-                return false;
+        return this.validate().valid;
+    }
+
+    /**
+     * Verify all the invariants of the tree, and report every violation found:
+     * - order: every key is greater than all the keys in the left subtree of the node
+     *   and smaller than all the keys in its right subtree, i.e. each key is within the
+     *   bounds set by all of its ancestors, not just by its parent. Hence the keys are
+     *   also unique: duplicates are stored as a count in a single node (multiset mode);
+     * - compare: the keys can be compared by the comparator of the tree;
+     * - count: the counts are positive integers, and 1 unless the tree is a multiset;
+     * - parent: the root has no parent, and the parent of every child is its node;
+     * - acyclic: every node is reached from the root once, i.e. the links make a tree;
+     * - subtreeSize: the size stored in each node matches its count and its children;
+     * - size: `size()` is the total of the counts.
+     * If the links do not make a tree, the checks that need one are skipped. Otherwise,
+     * subclasses verify their own invariants in `_validateNodes()`.
+     *
+     * Complexity: O(n)
+     *
+     * @param {Object} options `maxViolations`: stop as soon as this many violations have
+     *                         been found, e.g. 1 to know if the tree is valid and why not
+     *                         (default: find them all).
+     * @return {ValidationReport} The violations found, with the paths and the keys of
+     *                            their nodes; `valid` is true if there are none.
+     */
+    validate({maxViolations=Infinity}={}) {
+        let report = new ValidationReport(maxViolations);
+        try {
+            this._validateInto(report);
+        }
+        catch (e) {
+            // thrown by `report.add()` once the report is full
+            if (e !== ValidationReport.FULL)
+                throw e;
+        }
+        return report;
+    }
+
+    /** Verify all the invariants of the tree, see `validate()`, and fill `report`. */
+    _validateInto(report) {
+        // the nodes in pre-order, i.e. each node before its descendants
+        let nodes = [];
+        let isTree = true;
+        let countsValid = true;
+        let size = 0;
+        if (this.root && this.root.parent != null)
+            report.add(this.root, 'parent', 'the root has a parent');
+        // each entry is a node and its closest ancestors with a smaller and a greater
+        // key (null if there is none): they bound the key of the node
+        let stack = this.root ? [[this.root, null, null]]: [];
+        while (stack.length > 0) {
+            const [node, lo, hi] = stack.pop();
+            nodes.push(node);
+            if (! Number.isInteger(node.count) || node.count < 1 || (node.count > 1 && ! this.multiset)) {
+                report.add(node, 'count', `invalid count: ${String(node.count)}`);
+                countsValid = false;
+            }
             else
-                mapUnique.set(node, true);
-            // check BST invariant left
-            if (node.left) {
-                if (node.left.key > node.key)
-                    // violation to the left
-                    return false;
-                else
-                    queue.push(node.left)
+                size += node.count;
+            try {
+                // also for the keys without bounds, e.g. the root
+                this._compare(node.key, node.key);
+                if (lo && this._compare(node.key, lo.key) <= 0)
+                    report.add(node, 'order', `the key must be greater than ${String(lo.key)}, the key of an ancestor`);
+                if (hi && this._compare(node.key, hi.key) >= 0)
+                    report.add(node, 'order', `the key must be smaller than ${String(hi.key)}, the key of an ancestor`);
             }
-            // check BST invariant right
-            if (node.right) {
-                if (node.right.key < node.key)
-                    // violation to the right
-                    return false;
+            catch (e) {
+                if (e === ValidationReport.FULL)
+                    throw e;
+                report.add(node, 'compare', e.message);
+            }
+            for (const [child, direction] of [[node.left, 'left'], [node.right, 'right']]) {
+                if (child == null)
+                    continue;
+                if (child === this.root || report._steps.has(child)) {
+                    report.add(node, 'acyclic', `the ${direction} child has already been reached from the root`);
+                    isTree = false;
+                    continue;
+                }
+                report._steps.set(child, {parent: node, direction: direction});
+                if (child.parent !== node)
+                    report.add(child, 'parent', 'the parent of the node is not the node it is a child of');
+                stack.push(direction == 'left' ? [child, lo, node]: [child, node, hi]);
+            }
+        }
+        if (! isTree)
+            return;
+        nodes.reverse();
+        for (const node of nodes) {
+            const expected = subtreeSize(node.left) + subtreeSize(node.right) + node.count;
+            if (node.subtreeSize !== expected)
+                report.add(node, 'subtreeSize', `the size of the subtree is ${String(node.subtreeSize)} instead of ${expected}`);
+        }
+        if (countsValid && size !== this._size)
+            report.add(null, 'size', `size() is ${this._size} but the tree has ${size} keys`);
+        this._validateNodes(report, nodes);
+    }
+
+    /**
+     * Called by `validate()`, once the links of the nodes are known to make a tree.
+     * It does nothing in a plain BST; subclasses override it to verify their own
+     * invariants, and add the violations to `report`.
+     * @param {ValidationReport} report The report of `validate()`.
+     * @param {Array} nodes All the nodes of the tree, each after all of its descendants.
+     */
+    _validateNodes(report, nodes) {
+    }
+
+    /**
+     * Return an array with all the nodes of the tree, where each node comes after all
+     * of its descendants. Useful to compute properties of the subtrees bottom-up
+     * without recursion.
+     */
+    _nodesBottomUp() {
+        // a pre-order visit lists each node before its descendants: reverse it
+        let order = [];
+        let stack = this.root ? [this.root]: [];
+        while (stack.length > 0) {
+            let node = stack.pop();
+            order.push(node);
+            if (node.left) stack.push(node.left);
+            if (node.right) stack.push(node.right);
+        }
+        return order.reverse();
+    }
+
+    /**
+     * Return statistics on the shape of the tree, to monitor how far it is from a
+     * balanced tree. Depths and heights are counted in edges: the root has depth 0, and
+     * the height of an empty tree is -1. The result has the following properties:
+     * - `size`: the number of keys, as `size()`; `nodeCount`: the number of nodes,
+     *   which is smaller in a multiset;
+     * - `height`: the depth of the deepest node;
+     * - `minLeafDepth`, `maxLeafDepth`: the depths of the shallowest and deepest leaves
+     *   (-1 for an empty tree), and `leafCount`: the number of leaves;
+     * - `totalDepth`: the sum of the depths of the nodes, which is also the internal path
+     *   length (`internalPathLength`), and `averageDepth`: its mean (0 if empty);
+     * - `externalPathLength`: the sum of the depths of the n + 1 missing (null) children,
+     *   which is always the internal path length + 2n;
+     * - `balanceFactors`: a `Map` from each balance factor (the height of the right
+     *   subtree minus the height of the left one, as in `AVLNode`) to the number of
+     *   nodes with it, in ascending order of balance factor;
+     * - `optimalHeight`: the height of a tree of minimum height with the same number of
+     *   nodes, i.e. ⌈log2(n+1)⌉ levels, and `heightRatio`: the ratio between the levels
+     *   of this tree and that optimum, 1 for a tree of minimum height (or an empty one)
+     *   and n / ⌈log2(n+1)⌉ for a tree that has degenerated into a list.
+     *
+     * The heights of the subtrees are computed from the links of the nodes, so the
+     * statistics do not depend on the balancing information of a subclass. The tree is
+     * visited without recursion, so that degenerate trees of any depth can be measured.
+     *
+     * Complexity: O(n)
+     *
+     * @return {Object} The statistics.
+     */
+    stats() {
+        let nodeCount = 0;
+        let leafCount = 0;
+        let minLeafDepth = -1;
+        let maxLeafDepth = -1;
+        let totalDepth = 0;
+        let externalPathLength = 0;
+        // pre-order visit: each node comes before its descendants
+        let order = [];
+        let stack = this.root ? [[this.root, 0]]: [];
+        while (stack.length > 0) {
+            const [node, depth] = stack.pop();
+            order.push(node);
+            nodeCount += 1;
+            totalDepth += depth;
+            for (const child of [node.left, node.right])
+                if (child)
+                    stack.push([child, depth + 1]);
                 else
-                    queue.push(node.right);
+                    externalPathLength += depth + 1;
+            if (node.isLeaf()) {
+                leafCount += 1;
+                minLeafDepth = minLeafDepth < 0 ? depth: Math.min(minLeafDepth, depth);
+                maxLeafDepth = Math.max(maxLeafDepth, depth);
             }
         }
-        // none of the invariants has been violated
-        return true;
+        // heights of the subtrees, bottom-up
+        let heights = new Map();
+        let factors = new Map();
+        const heightOf = (node) => node ? heights.get(node): -1;
+        for (let i = order.length - 1; i >= 0; i--) {
+            const node = order[i];
+            const leftHeight = heightOf(node.left);
+            const rightHeight = heightOf(node.right);
+            heights.set(node, Math.max(leftHeight, rightHeight) + 1);
+            const factor = rightHeight - leftHeight;
+            factors.set(factor, (factors.get(factor) || 0) + 1);
+        }
+        const height = heightOf(this.root);
+        const optimalHeight = Math.ceil(Math.log2(nodeCount + 1)) - 1;
+        return {
+            size: this._size,
+            nodeCount: nodeCount,
+            height: height,
+            minLeafDepth: minLeafDepth,
+            maxLeafDepth: maxLeafDepth,
+            leafCount: leafCount,
+            totalDepth: totalDepth,
+            averageDepth: nodeCount > 0 ? totalDepth / nodeCount: 0,
+            internalPathLength: totalDepth,
+            externalPathLength: externalPathLength,
+            balanceFactors: new Map([...factors].sort((a, b) => a[0] - b[0])),
+            optimalHeight: optimalHeight,
+            heightRatio: nodeCount > 0 ? (height + 1) / (optimalHeight + 1): 1,
+        };
     }
 
     /** 
-     * Return an array containing the nodes in the BST in order.
+     * Return an array containing the nodes in the BST in order. In a multiset, each node
+     * appears as many times as its key occurs.
      */
     inOrderKeys() {
-        let inOrderRec = (arr, node) => {
-            if (node)
-                if (node.isLeaf())
-                    arr.push(node);
-                else {
-                    inOrderRec(arr, node.left);
-                    arr.push(node);
-                    inOrderRec(arr, node.right);
-                }
-        }
         let inOrdArray = [];
-        inOrderRec(inOrdArray, this.root);
+        for (const node of this.inOrderNodes())
+            for (let i = 0; i < node.count; i++)
+                inOrdArray.push(node);
         return inOrdArray;
     }
 
 
     /**
      * Vist the BST in pre-order and returns an `Array` of all the keys in the tree.
+     * In a multiset, each key is repeated as many times as it occurs.
      */
     preOrderKeys() {
         let arr = [];
         let stack = [];
+        let pushKey = (node) => {
+            for (let i = 0; i < node.count; i++)
+                arr.push(node.key);
+        }
         stack.push(this.root);
         if (this.root)
-            arr.push(this.root.key);
+            pushKey(this.root);
         while (stack.length > 0) {
             let node = stack.pop();
             if (node instanceof BstNode) {
-                if (node.left) arr.push(node.left.key);
-                if (node.right) arr.push(node.right.key);
+                if (node.left) pushKey(node.left);
+                if (node.right) pushKey(node.right);
                 stack.push(node.right);
                 stack.push(node.left);
             }
@@ -288,87 +1063,299 @@ class BinarySearchTree {
 
 
     /**
-     * Generate a string representing the tree, printable to console.
+     * Lazily visit the nodes in pre-order: each node before its left subtree, and the
+     * left subtree before the right one. Like all the traversals below, it is iterative,
+     * so it works on trees of any depth, and the tree must not be modified during the
+     * iteration. Each node is visited once, also in a multiset.
+     *
+     * Complexity: O(n) time, O(h) extra memory.
      */
-    stringTree() {
-        let stringTreeRec = (node, treeStr, indentLevel) => {
-            if (node == null) {
-                treeStr += '    '.repeat(indentLevel) + '----[]\n';
-                return treeStr;
-            }
-            else {
-                treeStr += '    '.repeat(indentLevel) + '----[' + String(node.key) + ']\n';
-                const indentStr = '    '.repeat(indentLevel+1)
-                // left branch
-                treeStr = stringTreeRec(node.left, treeStr + indentStr, indentLevel+1);
-                // right branch
-                treeStr = stringTreeRec(node.right, treeStr + indentStr, indentLevel+1);
-                return treeStr;
-            }
+    *preOrderNodes() {
+        let stack = this.root ? [this.root]: [];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            yield node;
+            if (node.right) stack.push(node.right);
+            if (node.left) stack.push(node.left);
         }
-        return stringTreeRec(this.root, '', 0);
     }
 
-    /** Search the key in the BST, if found return the node containing the key, otherwise `null`. */
-    search(key) {
+    /**
+     * Lazily visit the nodes in order, i.e. in ascending key order, with an explicit
+     * stack of the ancestors still to visit. Unlike `ascendingNodes()`, the parent
+     * pointers are not used. See also `morrisInOrderNodes()`.
+     *
+     * Complexity: O(n) time, O(h) extra memory.
+     */
+    *inOrderNodes() {
+        let stack = [];
         let node = this.root;
-        while (node != null && node.key != key) {
-            if (node.key > key)
-                node = node.left;
-            else // key < node.key
-                node = node.right;
+        while (node != null || stack.length > 0) {
+            for (; node != null; node = node.left)
+                stack.push(node);
+            node = stack.pop();
+            yield node;
+            node = node.right;
         }
-        return node;
-    }
-
-    /** Return true if and only if this is an empty BST. */
-    isEmpty() {
-        return this.root == null;
     }
 
-    /** Return the node with the minimum value of the key */
-    min(node=this.root) {
-        //  go left until you find an empty left child
-        while (node != null && node.left != null) {
+    /**
+     * Lazily visit the nodes in reverse order, i.e. in descending key order: the
+     * mirror image of `inOrderNodes()`.
+     *
+     * Complexity: O(n) time, O(h) extra memory.
+     */
+    *reverseInOrderNodes() {
+        let stack = [];
+        let node = this.root;
+        while (node != null || stack.length > 0) {
+            for (; node != null; node = node.right)
+                stack.push(node);
+            node = stack.pop();
+            yield node;
             node = node.left;
         }
-        return node;
     }
 
     /**
-     * Return the node with the maximum value of the key 
-     * @param {BstNode} node The node of the subtree for which the Max key must be found. 
-     *                       If not provided, defaults to the root.
+     * Lazily visit the nodes in post-order: each node after its left and right subtrees,
+     * so a node can be visited (e.g. deleted) once all of its descendants are.
+     *
+     * Complexity: O(n) time, O(h) extra memory.
      */
-    max(node=this.root) {
-        // go right until you find an empty right child
-        while (node != null && node.right != null) {
-            node = node.right;
+    *postOrderNodes() {
+        let stack = [];
+        let node = this.root;
+        // the last node visited: when it is the right child of the top of the stack,
+        // both subtrees of the top have been visited
+        let last = null;
+        while (node != null || stack.length > 0) {
+            for (; node != null; node = node.left)
+                stack.push(node);
+            const top = stack[stack.length - 1];
+            if (top.right != null && top.right !== last)
+                node = top.right;
+            else {
+                stack.pop();
+                yield top;
+                last = top;
+            }
         }
-        return node;
     }
 
     /**
-     * Find the biggest node `p` in the BST for which `p.key < key`.
-     * This is the same as `pred()`, but the argument is a key, which is useful in practice.
-     * 
-     * Complexity: see `pred()`
-     * 
-     * @param {Comparable} key
-     * @return The predecessor node, if it exists; null otherwise.
+     * Lazily visit the nodes in level order (breadth-first): the root, then all the
+     * nodes at depth 1 from left to right, and so on. See also `levels()`.
+     *
+     * Complexity: O(n) time, O(w) extra memory, where w is the width of the tree.
      */
-    predecessor(key) {
-        let node = this.search(key);
-        return this.pred(node);
+    *levelOrderNodes() {
+        for (const level of this.levels())
+            yield* level;
     }
 
     /**
-     * Find the biggest node `pred` in the BST for which `pred.key < node.key`.
-     * 
-     * Complexity: worst case is O(n) for a completely unbalanced tree; on average is O(h)
-     * where h is the height of the tree.
-     * 
-     * @param {BstNode} node A node to find the predecessor.
+     * Lazily visit the tree one level at a time: the i-th array yielded holds the nodes
+     * at depth i, from left to right.
+     *
+     * Complexity: O(n) time, O(w) extra memory, where w is the width of the tree.
+     */
+    *levels() {
+        let level = this.root ? [this.root]: [];
+        while (level.length > 0) {
+            yield level;
+            let next = [];
+            for (const node of level) {
+                if (node.left) next.push(node.left);
+                if (node.right) next.push(node.right);
+            }
+            level = next;
+        }
+    }
+
+    /**
+     * Lazily visit the nodes in order with the algorithm of Morris ("Traversing binary
+     * trees simply and cheaply", Inf. Process. Lett., 1979), which needs neither a
+     * stack nor the parent pointers. Before the left subtree of a node is visited, the
+     * empty right link of its predecessor is pointed to the node (a thread), to come
+     * back to it afterwards; the thread is removed on the way back.
+     *
+     * The tree is temporarily modified, so nothing else must use it before the
+     * iteration ends. If the iteration is stopped early (e.g. by `break`, or by an
+     * exception), the rest of the tree is walked without visiting it, to remove all the
+     * threads left.
+     *
+     * Complexity: O(n) time, O(1) extra memory.
+     */
+    *morrisInOrderNodes() {
+        let node = this.root;
+        // move one step forward, and return the node to visit, if any
+        const step = () => {
+            if (node.left == null) {
+                const visit = node;
+                node = node.right;
+                return visit;
+            }
+            let pred = node.left;
+            while (pred.right != null && pred.right !== node)
+                pred = pred.right;
+            if (pred.right == null) {
+                // first time here: make a thread, then visit the left subtree
+                pred.right = node;
+                node = node.left;
+                return null;
+            }
+            // back from the left subtree: remove the thread
+            pred.right = null;
+            const visit = node;
+            node = node.right;
+            return visit;
+        };
+        try {
+            while (node != null) {
+                const visit = step();
+                if (visit)
+                    yield visit;
+            }
+        }
+        finally {
+            while (node != null)
+                step();
+        }
+    }
+
+    /**
+     * Visit the tree in the given order, calling `visitor` on each node until it
+     * returns `false` (any other value, `undefined` included, continues the visit).
+     * The orders are:
+     * - 'preOrder', 'inOrder', 'postOrder', 'reverseInOrder' and 'levelOrder': see the
+     *   corresponding `...Nodes()` methods;
+     * - 'morrisInOrder': in order, with O(1) extra memory, see `morrisInOrderNodes()`;
+     *   the visitor must not use the tree;
+     * - 'levels': the visitor is called with an array of the nodes at each depth, see
+     *   `levels()`.
+     *
+     * Complexity: O(k) for k nodes visited, plus O(n) for 'morrisInOrder'.
+     *
+     * @param {string} order The order of the visit.
+     * @param {Function} visitor Function called with each node (or level).
+     * @return {boolean} True if all the tree has been visited, false if the visitor
+     *                   stopped the visit.
+     */
+    traverse(order, visitor) {
+        const traversals = {
+            preOrder: this.preOrderNodes,
+            inOrder: this.inOrderNodes,
+            postOrder: this.postOrderNodes,
+            reverseInOrder: this.reverseInOrderNodes,
+            levelOrder: this.levelOrderNodes,
+            morrisInOrder: this.morrisInOrderNodes,
+            levels: this.levels,
+        };
+        if (! Object.prototype.hasOwnProperty.call(traversals, order))
+            throw new Error('Unknown traversal order: ' + String(order));
+        if (typeof(visitor) !== 'function')
+            throw new TypeError('The visitor must be a function; got: ' + typeof(visitor));
+        for (const item of traversals[order].call(this))
+            if (visitor(item) === false)
+                return false;
+        return true;
+    }
+
+
+    /**
+     * Generate a string representing the tree, printable to console.
+     * See also the `visualize` module for more readable formats.
+     * 
+     * The tree is visited without recursion, but each line is indented by the depth of
+     * its node: the output grows with the square of the height, and a degenerate tree of
+     * some thousands of nodes already makes a string longer than V8 allows.
+     */
+    stringTree() {
+        // an explicit stack of [node, indentLevel], so that deep trees do not overflow
+        // the call stack; the right branch is pushed first to be printed after the left
+        let lines = [];
+        let stack = [[this.root, 0]];
+        while (stack.length > 0) {
+            const [node, indentLevel] = stack.pop();
+            // each line is indented once by the parent and once more for its own level
+            const indentStr = '    '.repeat(2 * indentLevel);
+            if (node == null)
+                lines.push(indentStr + '----[]\n');
+            else {
+                const countStr = node.count > 1 ? ' x' + node.count: '';
+                lines.push(indentStr + '----[' + String(node.key) + countStr + ']\n');
+                stack.push([node.right, indentLevel+1]);
+                stack.push([node.left, indentLevel+1]);
+            }
+        }
+        return lines.join('');
+    }
+
+    /** Search the key in the BST, if found return the node containing the key, otherwise `null`. */
+    search(key) {
+        let node = this.root;
+        while (node != null) {
+            const cmp = this._compare(key, node.key);
+            if (cmp == 0)
+                break;
+            else if (cmp < 0)
+                node = node.left;
+            else // key > node.key
+                node = node.right;
+        }
+        return node;
+    }
+
+    /** Return true if and only if this is an empty BST. */
+    isEmpty() {
+        return this.root == null;
+    }
+
+    /** Return the node with the minimum value of the key */
+    min(node=this.root) {
+        //  go left until you find an empty left child
+        while (node != null && node.left != null) {
+            node = node.left;
+        }
+        return node;
+    }
+
+    /**
+     * Return the node with the maximum value of the key 
+     * @param {BstNode} node The node of the subtree for which the Max key must be found. 
+     *                       If not provided, defaults to the root.
+     */
+    max(node=this.root) {
+        // go right until you find an empty right child
+        while (node != null && node.right != null) {
+            node = node.right;
+        }
+        return node;
+    }
+
+    /**
+     * Find the biggest node `p` in the BST for which `p.key < key`.
+     * This is the same as `pred()`, but the argument is a key, which is useful in practice.
+     * 
+     * Complexity: see `pred()`
+     * 
+     * @param {Comparable} key A key in the BST. If the `key` is not in the tree, null is
+     *                         returned: see `lower()` for keys that may not be in the tree.
+     * @return The predecessor node, if it exists; null otherwise.
+     */
+    predecessor(key) {
+        let node = this.search(key);
+        return this.pred(node);
+    }
+
+    /**
+     * Find the biggest node `pred` in the BST for which `pred.key < node.key`.
+     * 
+     * Complexity: worst case is O(n) for a completely unbalanced tree; on average is O(h)
+     * where h is the height of the tree.
+     * 
+     * @param {BstNode} node A node to find the predecessor.
      * @return The predecessor node, if it exists; null otherwise.
      */
     pred(node) {
@@ -402,7 +1389,8 @@ class BinarySearchTree {
      * a search in the tree to find the key. If the tree is umbalanced that is also,
      * O(n), where n is the number of elements in the tree.
      * 
-     * @param {Comparable} key A key in the BST. If the `key` is not in the tree, null is returned.
+     * @param {Comparable} key A key in the BST. If the `key` is not in the tree, null is returned:
+     *                         see `higher()` for keys that may not be in the tree.
      * @return The successor node, if it exist; null otherwise
      */
     successor(key) {
@@ -440,6 +1428,803 @@ class BinarySearchTree {
             }        
     }
 
+    /**
+     * Find the node nearest to `key` in the given direction with a single descent from
+     * the root, whether `key` is in the tree or not.
+     * 
+     * Complexity: O(h)
+     * 
+     * @param {any} key The key to look for.
+     * @param {Dir} direction Dir.RIGHT for the smallest key after `key`, Dir.LEFT for
+     *                        the largest key before `key`.
+     * @param {boolean} inclusive If true, the node of `key` itself is returned, if any.
+     * @return {BstNode} The node found, or null if there is none.
+     */
+    _nearest(key, direction, inclusive) {
+        let node = this.root;
+        let found = null;
+        while (node != null) {
+            const cmp = this._compare(key, node.key);
+            if (cmp == 0 && inclusive)
+                return node;
+            else if (direction == Dir.RIGHT)
+                if (cmp < 0) {
+                    // node is after key: a candidate, but there may be a closer one
+                    found = node;
+                    node = node.left;
+                }
+                else
+                    node = node.right;
+            else // direction == Dir.LEFT
+                if (cmp > 0) {
+                    // node is before key: a candidate, but there may be a closer one
+                    found = node;
+                    node = node.right;
+                }
+                else
+                    node = node.left;
+        }
+        return found;
+    }
+
+    /**
+     * Return the node with the largest key smaller than or equal to `key`, or null if
+     * there is none. Unlike `predecessor()`, `key` does not need to be in the tree.
+     * 
+     * Complexity: O(h)
+     * 
+     * @param {any} key A key, not necessarily in the tree.
+     */
+    floor(key) {
+        return this._nearest(key, Dir.LEFT, true);
+    }
+
+    /**
+     * Return the node with the smallest key greater than or equal to `key`, or null if
+     * there is none. Unlike `successor()`, `key` does not need to be in the tree.
+     * 
+     * Complexity: O(h)
+     * 
+     * @param {any} key A key, not necessarily in the tree.
+     */
+    ceiling(key) {
+        return this._nearest(key, Dir.RIGHT, true);
+    }
+
+    /**
+     * Return the node with the largest key strictly smaller than `key`, or null if
+     * there is none. `key` does not need to be in the tree.
+     * 
+     * Complexity: O(h)
+     * 
+     * @param {any} key A key, not necessarily in the tree.
+     */
+    lower(key) {
+        return this._nearest(key, Dir.LEFT, false);
+    }
+
+    /**
+     * Return the node with the smallest key strictly greater than `key`, or null if
+     * there is none. `key` does not need to be in the tree.
+     * 
+     * Complexity: O(h)
+     * 
+     * @param {any} key A key, not necessarily in the tree.
+     */
+    higher(key) {
+        return this._nearest(key, Dir.RIGHT, false);
+    }
+
+    /**
+     * Return the number of keys in the tree smaller than `key` (or smaller than or
+     * equal to `key`, if `inclusive`). `key` does not need to be in the tree.
+     * 
+     * Complexity: O(h)
+     * 
+     * @param {any} key The key to rank.
+     * @param {boolean} inclusive If true, the occurrences of `key` are also counted.
+     */
+    _rank(key, inclusive) {
+        let node = this.root;
+        let rank = 0;
+        while (node != null) {
+            const cmp = this._compare(key, node.key);
+            if (cmp < 0)
+                node = node.left;
+            else if (cmp == 0 && ! inclusive) {
+                rank += subtreeSize(node.left);
+                break;
+            }
+            else {
+                // `node` and its left subtree come before `key`
+                rank += subtreeSize(node.left) + node.count;
+                node = node.right;
+            }
+        }
+        return rank;
+    }
+
+    /**
+     * Return the number of keys in the tree that are smaller than `key`, i.e. the
+     * position that `key` has, or would have, in the sorted sequence of the keys.
+     * In a multiset, every occurrence is counted.
+     * 
+     * Complexity: O(h)
+     * 
+     * @param {any} key A key, not necessarily in the tree.
+     */
+    rank(key) {
+        return this._rank(key, false);
+    }
+
+    /**
+     * Return the node of the k-th smallest key, counting from 0: `select(0)` is the
+     * minimum, `select(this.size() - 1)` the maximum and `select(this.size() >> 1)` the
+     * median. In a multiset, a node is selected by any of the positions of its
+     * occurrences. It is the inverse of `rank()`: `select(rank(key)).key == key` for
+     * every key in the tree.
+     * 
+     * Complexity: O(h)
+     * 
+     * @param {number} k Position of the key, an integer between 0 and `size() - 1`.
+     * @return {BstNode} The node at position `k`, or null if `k` is out of range.
+     */
+    select(k) {
+        if (! Number.isInteger(k) || k < 0 || k >= subtreeSize(this.root))
+            return null;
+        let node = this.root;
+        while (node != null) {
+            const leftSize = subtreeSize(node.left);
+            if (k < leftSize)
+                node = node.left;
+            else if (k < leftSize + node.count)
+                return node;
+            else {
+                k -= leftSize + node.count;
+                node = node.right;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Lazily visit the nodes in ascending key order, walking the tree with `succ()`:
+     * only O(1) extra memory is used, no matter how deep the tree is.
+     * The tree must not be modified during the iteration.
+     * 
+     * @param {any} fromKey If provided, the iteration starts at the smallest key greater
+     *                      than or equal to `fromKey`; otherwise from the minimum.
+     */
+    *ascendingNodes(fromKey) {
+        let node = fromKey === undefined ? this.min(): this.ceiling(fromKey);
+        for (; node != null; node = this.succ(node))
+            yield node;
+    }
+
+    /**
+     * Lazily visit the nodes in descending key order, walking the tree with `pred()`:
+     * only O(1) extra memory is used, no matter how deep the tree is.
+     * The tree must not be modified during the iteration.
+     * 
+     * @param {any} fromKey If provided, the iteration starts at the largest key smaller
+     *                      than or equal to `fromKey`; otherwise from the maximum.
+     */
+    *descendingNodes(fromKey) {
+        let node = fromKey === undefined ? this.max(): this.floor(fromKey);
+        for (; node != null; node = this.pred(node))
+            yield node;
+    }
+
+    /**
+     * Lazily iterate over the keys in ascending order. In a multiset, each key is
+     * repeated as many times as it occurs. See also `ascendingNodes()`.
+     * 
+     * @param {any} fromKey If provided, the iteration starts at the smallest key greater
+     *                      than or equal to `fromKey`; otherwise from the minimum.
+     */
+    *ascending(fromKey) {
+        for (const node of this.ascendingNodes(fromKey))
+            for (let i = 0; i < node.count; i++)
+                yield node.key;
+    }
+
+    /**
+     * Lazily iterate over the keys in descending order. In a multiset, each key is
+     * repeated as many times as it occurs. See also `descendingNodes()`.
+     * 
+     * @param {any} fromKey If provided, the iteration starts at the largest key smaller
+     *                      than or equal to `fromKey`; otherwise from the maximum.
+     */
+    *descending(fromKey) {
+        for (const node of this.descendingNodes(fromKey))
+            for (let i = 0; i < node.count; i++)
+                yield node.key;
+    }
+
+    /**
+     * Lazily visit the nodes with a key between `lo` and `hi`, in ascending order.
+     * Only the path to the first node in the range and the nodes in the range are
+     * visited: the subtrees outside the bounds are never entered.
+     * The tree must not be modified during the iteration.
+     * 
+     * Complexity: O(h + k) where k is the number of nodes in the range.
+     * 
+     * @param {any} lo Lower bound of the range.
+     * @param {any} hi Upper bound of the range.
+     * @param {Object} options `loInclusive` (default true) and `hiInclusive` (default
+     *                         false) select whether the bounds are part of the range.
+     */
+    *rangeNodes(lo, hi, {loInclusive=true, hiInclusive=false}={}) {
+        // validate hi before the iteration starts, even if the range turns out empty
+        this._compare(hi, hi);
+        let node = this._nearest(lo, Dir.RIGHT, loInclusive);
+        for (; node != null; node = this.succ(node)) {
+            const cmp = this._compare(node.key, hi);
+            if (cmp > 0 || (cmp == 0 && ! hiInclusive))
+                break;
+            yield node;
+        }
+    }
+
+    /**
+     * Lazily iterate over the keys between `lo` and `hi`, by default in `[lo, hi)`.
+     * In a multiset, each key is repeated as many times as it occurs.
+     * 
+     * Complexity: O(h + k) where k is the number of keys in the range.
+     * 
+     * @param {any} lo Lower bound of the range.
+     * @param {any} hi Upper bound of the range.
+     * @param {Object} options `loInclusive` (default true) and `hiInclusive` (default
+     *                         false) select whether the bounds are part of the range.
+     */
+    *range(lo, hi, options={}) {
+        for (const node of this.rangeNodes(lo, hi, options))
+            for (let i = 0; i < node.count; i++)
+                yield node.key;
+    }
+
+    /**
+     * Return the number of keys between `lo` and `hi`, by default in `[lo, hi)`.
+     * In a multiset, every occurrence is counted. The keys are not visited: the count
+     * is the difference of the ranks of the bounds.
+     * 
+     * Complexity: O(h)
+     * 
+     * @param {any} lo Lower bound of the range.
+     * @param {any} hi Upper bound of the range.
+     * @param {Object} options See `range()`.
+     */
+    countRange(lo, hi, {loInclusive=true, hiInclusive=false}={}) {
+        const count = this._rank(hi, hiInclusive) - this._rank(lo, ! loInclusive);
+        // the difference is negative when hi < lo
+        return Math.max(count, 0);
+    }
+
+    /**
+     * Return the aggregate of the keys between `lo` and `hi`, by default in `[lo, hi)`,
+     * i.e. the values of the keys in the monoid of the `aggregate` option, combined in
+     * key order: e.g. the sum of the values in a time window. The keys are not visited:
+     * the aggregates of the subtrees entirely in the range are combined, and there are
+     * O(h) of them, on the two paths from the first node in the range to the bounds.
+     * 
+     * Complexity: O(h)
+     * 
+     * @param {any} lo Lower bound of the range.
+     * @param {any} hi Upper bound of the range.
+     * @param {Object} options See `range()`.
+     * @return {any} The aggregate; the identity of the monoid if the range is empty.
+     */
+    aggregate(lo, hi, {loInclusive=true, hiInclusive=false}={}) {
+        const monoid = this.monoid;
+        if (monoid == null)
+            throw new Error('This tree has no aggregate: see the `aggregate` option');
+        const {identity, combine} = monoid;
+        const aggregateOf = (node) => node ? node.aggregate: identity;
+        const aboveLo = (key) => {
+            const cmp = this._compare(key, lo);
+            return cmp > 0 || (cmp == 0 && loInclusive);
+        };
+        const belowHi = (key) => {
+            const cmp = this._compare(key, hi);
+            return cmp < 0 || (cmp == 0 && hiInclusive);
+        };
+        // validate hi, even if the tree is empty
+        this._compare(hi, hi);
+        // the first node in the range: the paths to the two bounds split there
+        let split = this.root;
+        while (split != null)
+            if (! aboveLo(split.key))
+                split = split.right;
+            else if (! belowHi(split.key))
+                split = split.left;
+            else
+                break;
+        if (split == null)
+            return identity;
+        // on the way to `lo`, a node in the range comes with its right subtree, which
+        // follows all the nodes below it in key order
+        let left = identity;
+        for (let node = split.left; node != null; )
+            if (aboveLo(node.key)) {
+                left = combine(combine(keyValue(monoid, node), aggregateOf(node.right)), left);
+                node = node.left;
+            }
+            else
+                node = node.right;
+        // on the way to `hi`, a node in the range comes with its left subtree
+        let right = identity;
+        for (let node = split.right; node != null; )
+            if (belowHi(node.key)) {
+                right = combine(right, combine(aggregateOf(node.left), keyValue(monoid, node)));
+                node = node.right;
+            }
+            else
+                node = node.left;
+        return combine(combine(left, keyValue(monoid, split)), right);
+    }
+
+    /**
+     * Delete all the keys between `lo` and `hi`, by default in `[lo, hi)`. In a
+     * multiset, all the occurrences of the keys are deleted.
+     * 
+     * The tree is split at `lo` and at `hi` with `split()`, and the two outer pieces are
+     * joined back with `join()`: the subtree of the keys in the range is dropped as a
+     * whole, so the cost does not depend on the number of keys deleted.
+     * 
+     * Complexity: as two `split()`s and a `join()`: O(h) in a plain BST and expected
+     * O(log n) in a treap; O(log² n) in an AVL or a red-black tree, where each of the
+     * O(log n) `_join3()` of a split retraces up to the root of the joined tree; O(n) in a
+     * scapegoat tree, where `_treeFromRoot()` counts the nodes of each piece.
+     * 
+     * @param {any} lo Lower bound of the range.
+     * @param {any} hi Upper bound of the range.
+     * @param {Object} options See `range()`.
+     * @return {number} The number of keys deleted.
+     */
+    deleteRange(lo, hi, {loInclusive=true, hiInclusive=false}={}) {
+        const cmp = this._compare(lo, hi);
+        if (cmp > 0 || (cmp == 0 && ! (loInclusive && hiInclusive)))
+            return 0;
+        const sizeBefore = this._size;
+        const {left: below, middle: loNode, right: rest} = this.split(lo);
+        const {middle: hiNode, right: above} = rest.split(hi);
+        // the nodes of the bounds, if any, are detached by `split()`: put them back
+        // unless they are in the range
+        const attach = (left, mid, right) => {
+            const joined = this._emptyLike();
+            joined._join3(left, mid, right);
+            return this._treeFromRoot(joined.root);
+        };
+        const smaller = loNode && ! loInclusive ? attach(below.root, loNode, null): below;
+        const larger = hiNode && ! hiInclusive ? attach(null, hiNode, above.root): above;
+        this._takeNodes(this.constructor.join(smaller, larger));
+        return sizeBefore - this._size;
+    }
+
+    /**
+     * Move all the nodes of `tree`, a tree of the same class, to this tree, which must be
+     * empty; `tree` is left empty. Subclasses that keep more information about the whole
+     * tree override it to move that too.
+     * @param {BinarySearchTree} tree The tree to take the nodes from.
+     */
+    _takeNodes(tree) {
+        this.root = tree.root;
+        this._size = tree._size;
+        tree.root = null;
+        tree._size = 0;
+    }
+
+    /** A BST is iterable: `for...of` and the spread operator visit its keys in order. */
+    [Symbol.iterator]() {
+        return this.ascending();
+    }
+
+    /**
+     * Throw an error unless `other` is a tree whose keys are ordered like the keys of
+     * this tree, which is required to merge the two sequences of keys. The orderings are
+     * deemed compatible only if the two trees use the very same comparator function.
+     * @param {BinarySearchTree} other Another tree.
+     */
+    _checkCompatible(other) {
+        if (! (other instanceof BinarySearchTree))
+            throw new TypeError('Expected a BinarySearchTree; got: ' + String(other));
+        if (other.compare !== this.compare)
+            throw new Error('The trees have incompatible orderings: their comparators differ');
+    }
+
+    /**
+     * Lazily merge the nodes of this tree and of `other` in key order, as in merge sort.
+     * Each step yields a pair `[nodeThis, nodeOther]` of nodes with the same key; one of
+     * the two is null if the key is only in one of the trees.
+     * 
+     * Complexity: O(n + m)
+     * 
+     * @param {BinarySearchTree} other A tree with a compatible ordering.
+     */
+    *_mergeNodes(other) {
+        this._checkCompatible(other);
+        const iterThis = this.ascendingNodes();
+        const iterOther = other.ascendingNodes();
+        let a = iterThis.next();
+        let b = iterOther.next();
+        while (! a.done || ! b.done) {
+            const cmp = a.done ? 1: (b.done ? -1: this._compare(a.value.key, b.value.key));
+            if (cmp < 0) {
+                yield [a.value, null];
+                a = iterThis.next();
+            }
+            else if (cmp > 0) {
+                yield [null, b.value];
+                b = iterOther.next();
+            }
+            else {
+                yield [a.value, b.value];
+                a = iterThis.next();
+                b = iterOther.next();
+            }
+        }
+    }
+
+    /**
+     * Build a new balanced tree of the same class as this one, with the keys of this
+     * tree and of `other`. The number of occurrences of each key in the new tree is
+     * `combine(countThis, countOther)`, where each count is 0 if the key is missing.
+     * If this tree is a set, the counts of `other` are taken as 1 even if it is a
+     * multiset, so the new tree has each key at most once.
+     * 
+     * Complexity: O(n + m)
+     * 
+     * @param {BinarySearchTree} other A tree with a compatible ordering.
+     * @param {Function} combine The function that computes the count of each key.
+     */
+    _combine(other, combine) {
+        let keys = [];
+        for (const [a, b] of this._mergeNodes(other)) {
+            const countOther = b ? (this.multiset ? b.count: 1): 0;
+            const count = combine(a ? a.count: 0, countOther);
+            for (let i = 0; i < count; i++)
+                keys.push(a ? a.key: b.key);
+        }
+        return this.constructor.fromSorted(keys, this.compare, this._options());
+    }
+
+    /**
+     * Return a new balanced tree with the keys that are in this tree or in `other`.
+     * In a multiset, each key occurs as many times as in the tree where it occurs most.
+     * 
+     * Complexity: O(n + m)
+     * 
+     * @param {BinarySearchTree} other A tree with the same comparator as this one.
+     * @return {BinarySearchTree} A tree of the same class as this one.
+     */
+    union(other) {
+        return this._combine(other, (a, b) => Math.max(a, b));
+    }
+
+    /**
+     * Return a new balanced tree with the keys that are both in this tree and in `other`.
+     * In a multiset, each key occurs as many times as in the tree where it occurs least.
+     * 
+     * Complexity: O(n + m)
+     * 
+     * @param {BinarySearchTree} other A tree with the same comparator as this one.
+     * @return {BinarySearchTree} A tree of the same class as this one.
+     */
+    intersection(other) {
+        return this._combine(other, (a, b) => Math.min(a, b));
+    }
+
+    /**
+     * Return a new balanced tree with the keys of this tree that are not in `other`.
+     * In a multiset, the occurrences in `other` are subtracted from those in this tree.
+     * 
+     * Complexity: O(n + m)
+     * 
+     * @param {BinarySearchTree} other A tree with the same comparator as this one.
+     * @return {BinarySearchTree} A tree of the same class as this one.
+     */
+    difference(other) {
+        return this._combine(other, (a, b) => Math.max(a - b, 0));
+    }
+
+    /**
+     * Return a new balanced tree with the keys that are in only one of this tree and
+     * `other`. In a multiset, each key occurs as many times as the difference of its
+     * occurrences in the two trees.
+     * 
+     * Complexity: O(n + m)
+     * 
+     * @param {BinarySearchTree} other A tree with the same comparator as this one.
+     * @return {BinarySearchTree} A tree of the same class as this one.
+     */
+    symmetricDifference(other) {
+        return this._combine(other, (a, b) => Math.abs(a - b));
+    }
+
+    /**
+     * Return true if and only if every key of this tree is also in `other` (at least as
+     * many times, in a multiset). The merge stops at the first key that is not.
+     * 
+     * Complexity: O(n + m)
+     * 
+     * @param {BinarySearchTree} other A tree with the same comparator as this one.
+     */
+    isSubsetOf(other) {
+        this._checkCompatible(other);
+        if (this.size() > other.size())
+            return false;
+        for (const [a, b] of this._mergeNodes(other))
+            if (a && (! b || a.count > b.count))
+                return false;
+        return true;
+    }
+
+    /**
+     * Return true if and only if this tree and `other` have the same keys (with the same
+     * number of occurrences, in a multiset), no matter the shape of the two trees.
+     * 
+     * Complexity: O(n + m)
+     * 
+     * @param {BinarySearchTree} other A tree with the same comparator as this one.
+     */
+    equals(other) {
+        this._checkCompatible(other);
+        if (this.size() !== other.size())
+            return false;
+        for (const [a, b] of this._mergeNodes(other))
+            if (! a || ! b || a.count !== b.count)
+                return false;
+        return true;
+    }
+
+    /**
+     * Return a new empty tree of the same class and with the same settings as this one.
+     */
+    _emptyLike() {
+        return new this.constructor(this.compare, this._options());
+    }
+
+    /**
+     * Return a new tree of the same class as this one, made of the detached subtree
+     * rooted at `root`. Subclasses override it if the root of a tree has to satisfy
+     * some additional property.
+     * @param {BstNode} root Root of a subtree with no parent (may be null).
+     */
+    _treeFromRoot(root) {
+        const tree = this._emptyLike();
+        tree.root = root;
+        tree._size = subtreeSize(root);
+        return tree;
+    }
+
+    /**
+     * Make `mid` the root of a tree with `left` and `right` as subtrees, and make it the
+     * root of this tree. All the keys of `left` must be smaller than `mid.key`, and all
+     * the keys of `right` greater. `left`, `mid` and `right` must have no parent, and
+     * `mid` no children. Self-balancing subclasses override this method to place `mid`
+     * where the result is balanced, which is the building block of `split()` and `join()`.
+     * 
+     * Complexity: O(1) in a plain BST
+     * 
+     * @param {BstNode} left Root of the subtree of the smaller keys (may be null).
+     * @param {BstNode} mid The node joining the two subtrees.
+     * @param {BstNode} right Root of the subtree of the larger keys (may be null).
+     */
+    _join3(left, mid, right) {
+        mid.left = left;
+        mid.right = right;
+        if (left)
+            left.parent = mid;
+        if (right)
+            right.parent = mid;
+        this._updateNode(mid);
+        this.root = mid;
+    }
+
+    /**
+     * Split this tree into a tree with the keys smaller than `key` and one with the keys
+     * greater than `key`. The nodes are moved to the new trees, which are of the same
+     * class as this one, so this tree is left empty. The node of `key`, if any, is
+     * returned detached from both trees.
+     * 
+     * The path from the root to `key` is walked down, and then back up: each node on the
+     * path is joined, together with its subtree on the other side of the path, to the
+     * tree of the smaller or of the larger keys, with `_join3()`.
+     * 
+     * Complexity: O(h) in a plain BST; O(log² n) in an AVL or a red-black tree, which make
+     * O(log n) joins of O(log n) each.
+     * 
+     * @param {any} key The key to split at, not necessarily in the tree.
+     * @return {Object} `{left, middle, right}`: the two trees, and the node of `key` or null.
+     */
+    split(key) {
+        let path = [];
+        let node = this.root;
+        let middle = null;
+        while (node != null) {
+            const cmp = this._compare(key, node.key);
+            if (cmp == 0) {
+                middle = node;
+                break;
+            }
+            path.push([node, cmp]);
+            node = cmp < 0 ? node.left: node.right;
+        }
+        let left = null;
+        let right = null;
+        if (middle) {
+            left = middle.left;
+            right = middle.right;
+            if (left)
+                left.parent = null;
+            if (right)
+                right.parent = null;
+            middle.left = middle.right = middle.parent = null;
+            this._updateNode(middle);
+        }
+        // `left` and `right` are the trees of the smaller and larger keys found so far;
+        // the child of each node on the path has already been moved to one of them
+        for (let i = path.length - 1; i >= 0; i--) {
+            const [node, cmp] = path[i];
+            const nodeLeft = node.left;
+            const nodeRight = node.right;
+            node.left = node.right = node.parent = null;
+            const joined = this._emptyLike();
+            if (cmp < 0) {
+                // the path goes left: node and its right subtree are greater than key
+                if (nodeRight)
+                    nodeRight.parent = null;
+                joined._join3(right, node, nodeRight);
+                right = joined.root;
+            }
+            else {
+                if (nodeLeft)
+                    nodeLeft.parent = null;
+                joined._join3(nodeLeft, node, left);
+                left = joined.root;
+            }
+        }
+        this.root = null;
+        this._size = 0;
+        return {left: this._treeFromRoot(left), middle: middle, right: this._treeFromRoot(right)};
+    }
+
+    /**
+     * Concatenate two trees of the same class, where all the keys of `left` are smaller
+     * than all the keys of `right`. The nodes are moved to the new tree, so `left` and
+     * `right` are left empty. It is the inverse of `split()`.
+     * 
+     * Complexity: O(h) to remove the minimum of `right`, plus the cost of `_join3()`.
+     * 
+     * @param {BinarySearchTree} left The tree of the smaller keys.
+     * @param {BinarySearchTree} right The tree of the larger keys.
+     * @return {BinarySearchTree} A new tree with all the keys, of the class of `left`.
+     */
+    static join(left, right) {
+        if (! (left instanceof BinarySearchTree))
+            throw new TypeError('Expected a BinarySearchTree; got: ' + String(left));
+        left._checkCompatible(right);
+        if (left.constructor !== right.constructor || left.multiset !== right.multiset)
+            throw new TypeError('Only trees of the same class and mode can be joined');
+        if (! left.isEmpty() && ! right.isEmpty() &&
+            left._compare(left.max().key, right.min().key) >= 0)
+            throw new Error('The key ranges of the trees overlap');
+        let tree = null;
+        if (right.isEmpty())
+            tree = left._treeFromRoot(left.root);
+        else {
+            // the minimum of `right` joins the two trees
+            const mid = right.min();
+            right.del(mid);
+            mid.left = mid.right = mid.parent = null;
+            const joined = left._emptyLike();
+            joined._join3(left.root, mid, right.root);
+            tree = left._treeFromRoot(joined.root);
+        }
+        left.root = right.root = null;
+        left._size = right._size = 0;
+        return tree;
+    }
+
+    /**
+     * Rotate the subtree rooted at `node` to the left: `node.right` takes the place
+     * of `node`, which becomes its left child.
+     * @param {BstNode} node Root of the subtree to rotate. It must have a right child.
+     * @return {BstNode} The new root of the subtree.
+     */
+    rotateLeft(node) {
+        if (node && node.right) {
+            // node.right becomes the new root of the subtree at `node`
+            let y = node.right;
+            this._transplant(y, node);
+            // splice y's left branch to node's right
+            node.right = y.left;
+            if (y.left)
+                y.left.parent = node;
+            // splice node to y's left; `node` is now below `y`, so it is updated first
+            y.left = node;
+            node.parent = y;
+            this._updateNode(node);
+            this._updateNode(y);
+            return y;
+        }
+        else
+            return node;
+    }
+
+    /**
+     * Rotate the subtree rooted at `node` to the right: `node.left` takes the place
+     * of `node`, which becomes its right child.
+     * @param {BstNode} node Root of the subtree to rotate. It must have a left child.
+     * @return {BstNode} The new root of the subtree.
+     */
+    rotateRight(node) {
+        if (node && node.left) {
+            // node.left becomes the new root of the subtree at `node`
+            let y = node.left;
+            this._transplant(y, node);
+            // splice y's right branch to node's left
+            node.left = y.right;
+            if (y.right)
+                y.right.parent = node;
+            // splice node to y's right; `node` is now below `y`, so it is updated first
+            y.right = node;
+            node.parent = y;
+            this._updateNode(node);
+            this._updateNode(y);
+            return y;
+        }
+        else
+            return node;
+    }
+
+    /**
+     * Reshape the tree in place into a tree of minimum height, with the Day-Stout-Warren
+     * algorithm: the tree is first turned into a "vine" (a sorted chain of right
+     * children) by right rotations, then the vine is folded into a balanced tree by
+     * repeated sequences of left rotations. No node is created or destroyed.
+     * 
+     * Complexity: O(n)
+     */
+    rebalance() {
+        // phase 1: rotate right until there are no left children left
+        let n = 0;
+        let node = this.root;
+        while (node != null) {
+            if (node.left)
+                node = this.rotateRight(node);
+            else {
+                n += 1;
+                node = node.right;
+            }
+        }
+        // phase 2: m is the size of the largest perfect tree with at most n nodes; the
+        // remaining n - m nodes make up the last, incomplete, level
+        let m = 0;
+        while (2 * m + 1 <= n)
+            m = 2 * m + 1;
+        this._compress(n - m);
+        while (m > 1) {
+            m = m >>> 1;
+            this._compress(m);
+        }
+        // the rotations updated the rotated nodes, but not their ancestors
+        for (const node of this._nodesBottomUp())
+            this._updateNode(node);
+        this._afterRebuild();
+    }
+
+    /**
+     * Helper function for `rebalance()`: rotate left every other node along the right
+     * spine of the tree, `count` times, starting from the root.
+     * @param {number} count The number of rotations.
+     */
+    _compress(count) {
+        let node = this.root;
+        for (let i = 0; i < count; i++)
+            node = this.rotateLeft(node).right;
+    }
+
     /**
      * Moves a subtree to replace another subtree. After the move, the displaced subtree
      * is no longer attached to this BST.
@@ -460,24 +2245,44 @@ class BinarySearchTree {
             nodeFrom.parent = nodeTo.parent;
     }
 
+    /**
+     * Delete `key` from the tree, if present. In a multiset only one occurrence of the
+     * key is removed.
+     * @param {any} key The key to delete.
+     */
     delete(key) {
         let node = this.search(key);
-        this.del(node);
+        if (node && node.count > 1) {
+            node.count -= 1;
+            this._size -= 1;
+            this._updatePath(node);
+        }
+        else
+            this.del(node);
     }
 
+    /**
+     * Remove `node` from the tree, together with all the occurrences of its key.
+     * @param {BstNode} node A node of this tree.
+     */
     del(node) {
+        // the deepest node whose subtree changes shape
+        let changed = null;
         if (! node)
             return;
         else if (node.left == null) {
             // splice right
+            changed = node.parent;
             this._transplant(node.right, node);
         }
         else if (node.right == null) {
             // splice left
+            changed = node.parent;
             this._transplant(node.left, node);
         }
         else { // the node has both a left and a right subtree
             let succ = this.min(node.right);
+            changed = (node.right == succ) ? succ: succ.parent;
             if (node.right != succ) {
                 // `succ` is not the root of the right subtree of `node`
                 // then, the right subtree of `succ` takes the place of `succ`
@@ -492,103 +2297,175 @@ class BinarySearchTree {
             succ.left = node.left;
             succ.left.parent = succ;
         }
-        this._size -= 1;
+        this._size -= node.count;
+        this._updatePath(changed);
+        this._afterDelete(changed);
     }
 }
 
 
+/**
+ * A node of an `AVLTree`. In addition to the properties of `BstNode`, it stores the
+ * height of the subtree rooted at the node, which is what the AVL balancing rules are
+ * based on.
+ */
 class AVLNode extends BstNode {
 
     /**
-     * Height of a leaf. This is a convenient value to simplify rebalancing algorithms
-     * because they do not have to check for null values.
+     * Height of an empty subtree (i.e. of a `null` child). This is a convenient value to
+     * simplify rebalancing algorithms: a leaf has height 0, one more than its children.
      */
-    LEAF_HEIGHT = -1;
+    static LEAF_HEIGHT = -1;
 
     constructor (key) {
         super(key);
-        this.avlHeight = AVLNode.LEAF_HEIGHT;
+        this.avlHeight = AVLNode.LEAF_HEIGHT + 1;
     }
 
-    _updateHeight() {
+    /** The height of a subtree, as an augmentation of the nodes (see `sizeAugmentation`). */
+    static HEIGHT = {
+        name: 'avlHeight',
+        empty: AVLNode.LEAF_HEIGHT,
+        compute: (node, left, right) => Math.max(left, right) + 1,
+    };
+
+    /**
+     * Difference between the height of the right and the left subtree of this node.
+     * In a balanced AVL tree it is always -1, 0 or +1.
+     */
+    get balanceFactor() {
         const leftHeight  = this.left  ? this.left.avlHeight: AVLNode.LEAF_HEIGHT;
         const rightHeight = this.right ? this.right.avlHeight: AVLNode.LEAF_HEIGHT;
-        this.avlHeight = max(rightHeight, leftHeight) + 1;
-    }
-
-    addLeft(node) {
-        super.addLeft(node);
-        this._updateHeight();
-    }
-
-    addRight(node) {
-        super.addRight(node);
-        this._updateHeight();
+        return rightHeight - leftHeight;
     }
 }
 
+/**
+ * Self-balancing BST (Adelson-Velsky and Landis). After each insertion and deletion
+ * the tree is retraced from the modified node up to the root, and rotations are used
+ * to keep the heights of the two subtrees of every node within 1 of each other.
+ * Therefore, the height of the tree is O(log n) and so is the cost of `search()`,
+ * `insert()` and `delete()`.
+ */
 class AVLTree extends BinarySearchTree 
 {
-    constructor() {
-        super();
+    /**
+     * @param {Function} compare Comparator of the keys, see `BinarySearchTree`.
+     * @param {Object} options   Optional settings, see `BinarySearchTree`.
+     */
+    constructor(compare=defaultCompare, options={}) {
+        super(compare, options);
+        this._augmentations.push(AVLNode.HEIGHT);
     }
 
-    rotateLeft(node) {
-        if (node) {
-            // node.right becomes the new root of the subtree at `node`
-            let y = node.right;
-            this._transplant(y, node);
-            // splice y's left branch to node's right
-            node.addRight(y.left);
-            // splice node to y's left
-            y.addLeft(node);
-            // the height of `y` and `node` has also been updated
-            return y;
-        }
-        else
-            return node;
+    _createNode(key) {
+        return new AVLNode(key);
     }
 
-    rotateRight(node) {
-        if (node) {
-            // node.left becomes the new root of the subtree at `node`
-            let y = node.left;
-            this._transplant(y, node);
-            // splice y's right branch to node's left
-            node.addLeft(y.right);
-            // splice node to y's right
-            y.addRight(node);
-            // the height of `y` and `node` has also been updated
-            return y;
-        }
-        else
-            return node;
+    /** Height of the tree: 0 for a single node, `AVLNode.LEAF_HEIGHT` if empty. */
+    height() {
+        return this.root ? this.root.avlHeight: AVLNode.LEAF_HEIGHT;
     }
 
-    rebalance(node) {
-        // TODO: if this node is unbalanced
-        // determine and execute a rotation sequence to rebalance it
-        // walk up the tree, update heights, and rebalance
+    /**
+     * Walk up the tree from `node` to the root, updating the heights and rotating
+     * every node that is found unbalanced.
+     * 
+     * Complexity: O(log n)
+     * 
+     * @param {AVLNode} node The deepest node whose subtree has been modified.
+     */
+    _retrace(node) {
+        while (node != null) {
+            this._updateNode(node);
+            if (node.balanceFactor > 1) {
+                // right heavy; a right-left case needs a double rotation
+                if (node.right.balanceFactor < 0)
+                    this.rotateRight(node.right);
+                node = this.rotateLeft(node);
+            }
+            else if (node.balanceFactor < -1) {
+                // left heavy; a left-right case needs a double rotation
+                if (node.left.balanceFactor > 0)
+                    this.rotateLeft(node.left);
+                node = this.rotateRight(node);
+            }
+            node = node.parent;
+        }
     }
 
-
-    insert(key) {
-        let node = new AVLNode(key);
-        this._insert(node);
+    _afterInsert(node) {
+        this._retrace(node);
     }
 
-    _insert(node) {
-        // insert as in BST
-        super.insert(node);
-        this.rebalance(node);
+    _afterDelete(node) {
+        this._retrace(node);
     }
 
-    delete(node) {
-        // TODO: implement - implement full-delete for learning purpose. However,
-        // for practicality, also implement a lazy-delete strategy
+    /**
+     * Join the AVL subtrees `left` and `right` with `mid`, see `BinarySearchTree._join3()`.
+     * If the heights of the two subtrees differ by more than 1, `mid` is attached along
+     * the spine of the taller one, at the first node as high as the other subtree, and
+     * the taller tree is then retraced as after an insertion.
+     * 
+     * Complexity: O(log n), since the retracing goes up to the root of the taller tree.
+     */
+    _join3(left, mid, right) {
+        const height = (node) => node ? node.avlHeight: AVLNode.LEAF_HEIGHT;
+        const leftHeight = height(left);
+        const rightHeight = height(right);
+        if (Math.abs(leftHeight - rightHeight) <= 1)
+            return super._join3(left, mid, right);
+        let parent = null;
+        if (leftHeight > rightHeight) {
+            this.root = left;
+            let node = left;
+            while (height(node) > rightHeight + 1) {
+                parent = node;
+                node = node.right;
+            }
+            parent.right = mid;
+            mid.left = node;
+            mid.right = right;
+        }
+        else {
+            this.root = right;
+            let node = right;
+            while (height(node) > leftHeight + 1) {
+                parent = node;
+                node = node.left;
+            }
+            parent.left = mid;
+            mid.left = left;
+            mid.right = node;
+        }
+        mid.parent = parent;
+        if (mid.left)
+            mid.left.parent = mid;
+        if (mid.right)
+            mid.right.parent = mid;
+        this._retrace(mid);
     }
 
+    /**
+     * In addition to the BST invariant, verify that the height stored in each node is
+     * correct ('avlHeight') and that every node is balanced ('balance').
+     */
+    _validateNodes(report, nodes) {
+        super._validateNodes(report, nodes);
+        let heights = new Map();
+        for (const node of nodes) {
+            const leftHeight  = node.left  ? heights.get(node.left): AVLNode.LEAF_HEIGHT;
+            const rightHeight = node.right ? heights.get(node.right): AVLNode.LEAF_HEIGHT;
+            const height = Math.max(leftHeight, rightHeight) + 1;
+            if (height !== node.avlHeight)
+                report.add(node, 'avlHeight', `the height is ${String(node.avlHeight)} instead of ${height}`);
+            if (Math.abs(rightHeight - leftHeight) > 1)
+                report.add(node, 'balance', `unbalanced, the balance factor is ${rightHeight - leftHeight}`);
+            heights.set(node, height);
+        }
+    }
 }
 
 // Export these classes as a Nodejs module (and for tests)
-module.exports = {BstNode, BinarySearchTree};
+module.exports = {BstNode, BinarySearchTree, AVLNode, AVLTree, ValidationReport, defaultCompare, monoidAugmentation};
@@ -5,8 +5,9 @@
     License: MIT License. See also the LICENSE file included in this distribution.
  */
 
-const {BstNode, BinarySearchTree} = require( './bst');
+const {BstNode, BinarySearchTree, AVLNode, AVLTree, ValidationReport, defaultCompare} = require( './bst');
 const seedrandom = require('seedrandom');
+const {treeHeight, checkParents} = require('./testutil');
 
 // A BST used by several tests.
 let bst = null;
@@ -178,7 +179,7 @@ test('Successor', () => {
         for (let i = 0; i < sortValues.length - 1; i++)
             expect(bst.successor(sortValues[i]).key).toBe(sortValues[i+1]);
     // check the max
-    expect(bst.successor(bst.max())).toBeNull();
+    expect(bst.successor(bst.max().key)).toBeNull();
     expect(bst.successor(testParams.minVal - 1)).toBeNull();
 });
 
@@ -193,7 +194,7 @@ test('Predecessor', () => {
         for (let i = 1; i < sortValues.length; i++)
             expect(bst.predecessor(sortValues[i]).key).toBe(sortValues[i-1]);
     // check the min
-    expect(bst.predecessor(bst.min())).toBeNull();
+    expect(bst.predecessor(bst.min().key)).toBeNull();
     // check a key that is not in the BST
     expect(bst.predecessor(testParams.maxVal + 1)).toBeNull();
 });
@@ -233,4 +234,1190 @@ test('Delete', () => {
     values.splice(values.indexOf(70), 1);
     expect(bst.size()).toBe(values.length);
     expect(bst.checkInvariant()).toBeTruthy();
-});
\ No newline at end of file
+});
+
+test('defaultCompare()', () => {
+    expect(defaultCompare(1, 2)).toBeLessThan(0);
+    expect(defaultCompare(2, 1)).toBeGreaterThan(0);
+    expect(defaultCompare(-0, 0)).toBe(0);
+    expect(defaultCompare('a', 'b')).toBeLessThan(0);
+    expect(defaultCompare(10n, 9n)).toBeGreaterThan(0);
+    // mixed types, NaN and objects cannot be ordered by default
+    expect(() => defaultCompare('1', 1)).toThrow(TypeError);
+    expect(() => defaultCompare(NaN, 1)).toThrow(TypeError);
+    expect(() => defaultCompare({}, {})).toThrow(TypeError);
+});
+
+test('Comparator: mixed-type and NaN keys are rejected', () => {
+    let tree = new BinarySearchTree();
+    tree.insert(1);
+    expect(() => tree.insert('1')).toThrow(TypeError);
+    expect(() => tree.insert(NaN)).toThrow(TypeError);
+    expect(() => tree.search('1')).toThrow(TypeError);
+    expect(tree.size()).toBe(1);
+    // NaN is also rejected as the first key of a tree
+    expect(() => new BinarySearchTree().insert(NaN)).toThrow(TypeError);
+    expect(() => new BinarySearchTree((a, b) => a - b).insertRec(NaN)).toThrow(TypeError);
+    // a comparator that does not return a number is reported as well
+    let numeric = new BinarySearchTree((a, b) => a - b);
+    numeric.insert(1);
+    expect(() => numeric.insert(NaN)).toThrow(TypeError);
+    expect(() => new BinarySearchTree('not a function')).toThrow(TypeError);
+});
+
+test('Comparator: custom ordering of objects', () => {
+    const byDate = (a, b) => a.when - b.when;
+    let tree = new BinarySearchTree(byDate);
+    const days = [5, 1, 9, 3, 7, 2].map(d => ({when: new Date(2020, 5, d)}));
+    days.forEach(d => tree.insert(d));
+    expect(tree.size()).toBe(days.length);
+    expect(tree.checkInvariant()).toBeTruthy();
+    expect(tree.min().key.when.getDate()).toBe(1);
+    expect(tree.max().key.when.getDate()).toBe(9);
+    // search by an equivalent (not identical) key
+    const probe = {when: new Date(2020, 5, 3)};
+    expect(tree.search(probe).key).toBe(days[3]);
+    expect(tree.successor(probe).key.when.getDate()).toBe(5);
+    expect(tree.predecessor(probe).key.when.getDate()).toBe(2);
+    expect(() => tree.insert({when: new Date(2020, 5, 7)})).toThrow(Error);
+    tree.delete(probe);
+    expect(tree.search(probe)).toBeNull();
+    expect(tree.size()).toBe(days.length - 1);
+    expect(tree.checkInvariant()).toBeTruthy();
+});
+
+test('Comparator: reverse and locale orderings', () => {
+    let tree = new BinarySearchTree((a, b) => b - a);
+    [3, 1, 4, 5, 9, 2, 6].forEach(k => tree.insertRec(k));
+    expect(tree.min().key).toBe(9);
+    expect(tree.max().key).toBe(1);
+    expect(tree.inOrderKeys().map(node => node.key)).toEqual([9, 6, 5, 4, 3, 2, 1]);
+    expect(tree.checkInvariant()).toBeTruthy();
+
+    let words = new BinarySearchTree((a, b) => a.localeCompare(b, 'en', {sensitivity: 'base'}));
+    ['banana', 'Apple', 'cherry'].forEach(w => words.insert(w));
+    expect(words.inOrderKeys().map(node => node.key)).toEqual(['Apple', 'banana', 'cherry']);
+    // 'apple' and 'Apple' are the same key for this comparator
+    expect(() => words.insert('apple')).toThrow(Error);
+    expect(words.search('APPLE').key).toBe('Apple');
+});
+
+
+test('AVLTree: sorted insertions stay balanced', () => {
+    let avl = new AVLTree();
+    const n = 1000;
+    for (let i = 0; i < n; i++)
+        avl.insert(i);
+    expect(avl.size()).toBe(n);
+    expect(avl.checkInvariant()).toBeTruthy();
+    // the height of an AVL tree is at most ~1.44 log2(n)
+    expect(avl.height()).toBeLessThanOrEqual(Math.ceil(1.44 * Math.log2(n + 2)));
+    expect(avl.min().key).toBe(0);
+    expect(avl.max().key).toBe(n - 1);
+    expect(avl.successor(499).key).toBe(500);
+    expect(avl.predecessor(500).key).toBe(499);
+});
+
+test('AVLTree: rotations and balance factors', () => {
+    let avl = new AVLTree();
+    expect(avl.height()).toBe(AVLNode.LEAF_HEIGHT);
+    // left-right case
+    [30, 10, 20].forEach(k => avl.insert(k));
+    expect(avl.root.key).toBe(20);
+    expect(avl.root.avlHeight).toBe(1);
+    expect(avl.root.balanceFactor).toBe(0);
+    expect(avl.root.left.key).toBe(10);
+    expect(avl.root.right.key).toBe(30);
+    expect(avl.root.parent).toBeNull();
+    expect(avl.root.left.parent).toBe(avl.root);
+    // right-left case via the recursive insert
+    avl.insertRec(50);
+    avl.insertRec(40);
+    expect(avl.root.right.key).toBe(40);
+    expect(avl.root.balanceFactor).toBe(1);
+    expect(avl.checkInvariant()).toBeTruthy();
+    expect(() => avl.insert(40)).toThrow(Error);
+});
+
+test('AVLTree: random insertions and deletions', () => {
+    let avl = new AVLTree();
+    let keys = new Set();
+    for (let i = 0; i < 500; i++) {
+        const k = randint(-1000, 1000);
+        if (! keys.has(k)) {
+            avl.insert(k);
+            keys.add(k);
+        }
+    }
+    expect(avl.checkInvariant()).toBeTruthy();
+    let remaining = [...keys];
+    while (remaining.length > 0) {
+        const i = randint(0, remaining.length - 1);
+        avl.delete(remaining[i]);
+        remaining.splice(i, 1);
+        expect(avl.size()).toBe(remaining.length);
+        expect(avl.checkInvariant()).toBeTruthy();
+    }
+    expect(avl.isEmpty()).toBeTruthy();
+    expect(avl.height()).toBe(AVLNode.LEAF_HEIGHT);
+});
+
+test('AVLTree: corrupted heights are detected', () => {
+    let avl = new AVLTree((a, b) => a.localeCompare(b));
+    ['m', 'f', 't', 'a'].forEach(k => avl.insert(k));
+    expect(avl.checkInvariant()).toBeTruthy();
+    avl.search('a').avlHeight = 3;
+    expect(avl.checkInvariant()).toBeFalsy();
+});
+
+
+test('Multiset: duplicates are counted', () => {
+    let tree = new BinarySearchTree(undefined, {multiset: true});
+    [5, 3, 5, 8, 3, 5].forEach(k => tree.insert(k));
+    tree.insertRec(8);
+    expect(tree.size()).toBe(7);
+    expect(tree.count(5)).toBe(3);
+    expect(tree.count(3)).toBe(2);
+    expect(tree.count(8)).toBe(2);
+    expect(tree.count(4)).toBe(0);
+    expect(tree.checkInvariant()).toBeTruthy();
+    expect(tree.inOrderKeys().map(node => node.key)).toEqual([3, 3, 5, 5, 5, 8, 8]);
+    expect(tree.preOrderKeys()).toEqual([5, 5, 5, 3, 3, 8, 8]);
+    expect(tree.stringTree()).toContain('[5 x3]');
+    // delete removes one occurrence at a time
+    tree.delete(5);
+    expect(tree.count(5)).toBe(2);
+    expect(tree.size()).toBe(6);
+    tree.delete(3);
+    tree.delete(3);
+    expect(tree.count(3)).toBe(0);
+    expect(tree.search(3)).toBeNull();
+    expect(tree.size()).toBe(4);
+    // del() removes the node with all its occurrences
+    tree.del(tree.search(5));
+    expect(tree.size()).toBe(2);
+    expect(tree.checkInvariant()).toBeTruthy();
+});
+
+test('Multiset: counts are checked by checkInvariant()', () => {
+    let tree = new BinarySearchTree();
+    [2, 1, 3].forEach(k => tree.insert(k));
+    expect(tree.count(2)).toBe(1);
+    expect(() => tree.insert(2)).toThrow(Error);
+    tree.search(1).count = 2;
+    expect(tree.checkInvariant()).toBeFalsy();
+    let multi = new BinarySearchTree(undefined, {multiset: true});
+    multi.insert(1);
+    multi.root.count = 0;
+    expect(multi.checkInvariant()).toBeFalsy();
+});
+
+test('Multiset: AVLTree stays balanced', () => {
+    let avl = new AVLTree(undefined, {multiset: true});
+    for (let i = 0; i < 300; i++)
+        avl.insert(i % 100);
+    expect(avl.size()).toBe(300);
+    expect(avl.count(42)).toBe(3);
+    expect(avl.checkInvariant()).toBeTruthy();
+    for (let i = 0; i < 200; i++)
+        avl.delete(i % 100);
+    expect(avl.size()).toBe(100);
+    expect(avl.checkInvariant()).toBeTruthy();
+    avl.del(avl.min());
+    expect(avl.size()).toBe(99);
+    expect(avl.checkInvariant()).toBeTruthy();
+});
+
+
+test('Iteration protocol', () => {
+    let tree = new BinarySearchTree();
+    expect([...tree]).toEqual([]);
+    [50, 30, 70, 20, 40, 60, 80].forEach(k => tree.insert(k));
+    expect([...tree]).toEqual([20, 30, 40, 50, 60, 70, 80]);
+    let visited = [];
+    for (const key of tree) {
+        if (key > 40)
+            break;
+        visited.push(key);
+    }
+    expect(visited).toEqual([20, 30, 40]);
+    expect(Array.from(tree.descending())).toEqual([80, 70, 60, 50, 40, 30, 20]);
+    expect([...tree.ascendingNodes()].map(node => node.key)).toEqual([...tree]);
+    expect([...tree.descendingNodes()].every(node => node instanceof BstNode)).toBeTruthy();
+});
+
+test('Iterators starting from a key', () => {
+    let tree = new BinarySearchTree();
+    [50, 30, 70, 20, 40, 60, 80].forEach(k => tree.insert(k));
+    // keys in the tree
+    expect([...tree.ascending(40)]).toEqual([40, 50, 60, 70, 80]);
+    expect([...tree.descending(40)]).toEqual([40, 30, 20]);
+    // keys not in the tree
+    expect([...tree.ascending(45)]).toEqual([50, 60, 70, 80]);
+    expect([...tree.descending(45)]).toEqual([40, 30, 20]);
+    expect([...tree.ascending(81)]).toEqual([]);
+    expect([...tree.descending(19)]).toEqual([]);
+    expect([...tree.ascending(-1000)]).toEqual([...tree]);
+    expect([...tree.descendingNodes(1000)][0]).toBe(tree.max());
+});
+
+test('Iterators on a multiset', () => {
+    let tree = new BinarySearchTree(undefined, {multiset: true});
+    ['b', 'a', 'b', 'c', 'a', 'b'].forEach(k => tree.insert(k));
+    expect([...tree]).toEqual(['a', 'a', 'b', 'b', 'b', 'c']);
+    expect([...tree.descending('b')]).toEqual(['b', 'b', 'b', 'a', 'a']);
+    expect([...tree.ascendingNodes()].length).toBe(3);
+});
+
+test('Iterators on a degenerate tree', () => {
+    // a long chain of right children: recursive visits would overflow the stack
+    const n = 20000;
+    let tree = new BinarySearchTree();
+    tree.insert(0);
+    let node = tree.root;
+    for (let i = 1; i < n; i++) {
+        node.addRight(new BstNode(i));
+        node = node.right;
+    }
+    tree._size = n;
+    const keys = [...tree];
+    expect([keys.length, keys[0], keys[n - 1]]).toEqual([n, 0, n - 1]);
+    expect(tree.descending().next().value).toBe(n - 1);
+    expect([...tree.ascending(n - 3)]).toEqual([n - 3, n - 2, n - 1]);
+});
+
+
+test('range()', () => {
+    let tree = new BinarySearchTree();
+    [50, 30, 70, 20, 40, 60, 80, 35, 45].forEach(k => tree.insert(k));
+    // [lo, hi) by default
+    expect([...tree.range(30, 60)]).toEqual([30, 35, 40, 45, 50]);
+    expect([...tree.range(30, 60, {loInclusive: false, hiInclusive: true})]).toEqual([35, 40, 45, 50, 60]);
+    expect([...tree.range(30, 60, {hiInclusive: true})]).toEqual([30, 35, 40, 45, 50, 60]);
+    // bounds not in the tree
+    expect([...tree.range(31, 59)]).toEqual([35, 40, 45, 50]);
+    expect([...tree.range(-100, 100)]).toEqual([...tree]);
+    // empty ranges
+    expect([...tree.range(46, 49)]).toEqual([]);
+    expect([...tree.range(60, 30)]).toEqual([]);
+    expect([...tree.range(40, 40)]).toEqual([]);
+    expect([...tree.range(40, 40, {hiInclusive: true})]).toEqual([40]);
+    expect([...tree.rangeNodes(40, 50)].map(node => node.key)).toEqual([40, 45]);
+    expect(() => [...tree.range(1, '9')]).toThrow(TypeError);
+});
+
+test('range() is lazy and prunes the tree', () => {
+    let tree = new AVLTree();
+    for (let i = 0; i < 1024; i++)
+        tree.insert(i);
+    let comparisons = 0;
+    tree.compare = (a, b) => { comparisons += 1; return a - b; };
+    let iter = tree.range(500, 1000);
+    expect(iter.next().value).toBe(500);
+    expect(iter.next().value).toBe(501);
+    // the search for the lower bound, plus one comparison per key
+    expect(comparisons).toBeLessThan(2 * tree.height() + 10);
+});
+
+test('countRange() and deleteRange()', () => {
+    let tree = new BinarySearchTree(undefined, {multiset: true});
+    [5, 1, 9, 3, 7, 3, 5, 5].forEach(k => tree.insert(k));
+    expect(tree.countRange(3, 6)).toBe(5);
+    expect(tree.countRange(3, 5, {loInclusive: false})).toBe(0);
+    expect(tree.countRange(3, 5, {loInclusive: false, hiInclusive: true})).toBe(3);
+    expect(tree.deleteRange(3, 6)).toBe(5);
+    expect([...tree]).toEqual([1, 7, 9]);
+    expect(tree.size()).toBe(3);
+    expect(tree.deleteRange(100, 200)).toBe(0);
+    expect(tree.checkInvariant()).toBeTruthy();
+
+    let avl = new AVLTree();
+    for (let i = 0; i < 200; i++)
+        avl.insert(i);
+    expect(avl.deleteRange(50, 150, {hiInclusive: true})).toBe(101);
+    expect(avl.size()).toBe(99);
+    expect(avl.countRange(0, 200)).toBe(99);
+    expect(avl.search(100)).toBeNull();
+    expect(avl.checkInvariant()).toBeTruthy();
+    // the bounds themselves, in and out of the range
+    expect(avl.deleteRange(20, 30, {loInclusive: false})).toBe(9);
+    expect(avl.search(20)).not.toBeNull();
+    expect(avl.search(30)).not.toBeNull();
+    expect(avl.deleteRange(20, 20)).toBe(0);
+    expect(avl.deleteRange(20, 20, {hiInclusive: true})).toBe(1);
+    expect(avl.deleteRange(40, 10)).toBe(0);
+    expect([...avl.ascending(18)].slice(0, 3)).toEqual([18, 19, 30]);
+    expect(avl.size()).toBe(89);
+    expect(avl.checkInvariant()).toBeTruthy();
+    // the cost does not depend on the number of keys deleted
+    let big = AVLTree.fromSorted([...Array(100000).keys()]);
+    let compared = 0;
+    const compare = big.compare;
+    big.compare = (a, b) => { compared += 1; return compare(a, b); };
+    expect(big.deleteRange(10, 99990)).toBe(99980);
+    expect(compared).toBeLessThan(1000);
+    expect([...big]).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 99990, 99991, 99992, 99993, 99994, 99995, 99996, 99997, 99998, 99999]);
+    expect(big.checkInvariant()).toBeTruthy();
+});
+
+
+test('rank() and select()', () => {
+    let tree = new BinarySearchTree();
+    const keys = [50, 30, 70, 20, 40, 60, 80, 35, 45];
+    keys.forEach(k => tree.insert(k));
+    const sorted = keys.slice().sort((a, b) => a - b);
+    sorted.forEach((key, i) => {
+        expect(tree.rank(key)).toBe(i);
+        expect(tree.select(i).key).toBe(key);
+    });
+    // keys not in the tree
+    expect(tree.rank(0)).toBe(0);
+    expect(tree.rank(36)).toBe(3);
+    expect(tree.rank(100)).toBe(keys.length);
+    // out of range positions
+    expect(tree.select(-1)).toBeNull();
+    expect(tree.select(keys.length)).toBeNull();
+    expect(tree.select(1.5)).toBeNull();
+    expect(new BinarySearchTree().select(0)).toBeNull();
+    // median
+    expect(tree.select(tree.size() >> 1).key).toBe(45);
+});
+
+test('Subtree sizes are maintained by all the updates', () => {
+    let tree = new BinarySearchTree();
+    for (let i = 0; i < 200; i++) {
+        const k = randint(-500, 500);
+        if (! tree.search(k))
+            i % 2 ? tree.insert(k) : tree.insertRec(k);
+    }
+    expect(tree.root.subtreeSize).toBe(tree.size());
+    expect(tree.checkInvariant()).toBeTruthy();
+    tree.deleteRange(-100, 100);
+    expect(tree.checkInvariant()).toBeTruthy();
+    while (! tree.isEmpty()) {
+        tree.del(tree.select(randint(0, tree.size() - 1)));
+        expect(tree.checkInvariant()).toBeTruthy();
+    }
+    // a wrong size is detected
+    [2, 1, 3].forEach(k => tree.insert(k));
+    tree.search(3).subtreeSize = 2;
+    expect(tree.checkInvariant()).toBeFalsy();
+    tree.search(3).subtreeSize = 1;
+    tree._size = 4;
+    expect(tree.checkInvariant()).toBeFalsy();
+});
+
+test('Order statistics on AVLTree and multisets', () => {
+    let avl = new AVLTree(undefined, {multiset: true});
+    for (let i = 0; i < 100; i++) {
+        avl.insert(i);
+        avl.insert(i);
+    }
+    expect(avl.checkInvariant()).toBeTruthy();
+    expect(avl.root.subtreeSize).toBe(200);
+    expect(avl.rank(10)).toBe(20);
+    expect(avl.select(20).key).toBe(10);
+    expect(avl.select(21).key).toBe(10);
+    expect(avl.select(22).key).toBe(11);
+    for (let i = 0; i < 100; i += 3)
+        avl.delete(i);
+    expect(avl.rank(10)).toBe(16);
+    expect(avl.countRange(0, 10)).toBe(16);
+    expect(avl.countRange(0, 10, {hiInclusive: true})).toBe(18);
+    expect(avl.countRange(10, 0)).toBe(0);
+    expect(avl.checkInvariant()).toBeTruthy();
+});
+
+
+test('floor(), ceiling(), lower() and higher()', () => {
+    let tree = new BinarySearchTree();
+    [50, 30, 70, 20, 40, 60, 80].forEach(k => tree.insert(k));
+    const keyOf = node => node ? node.key : null;
+    // key in the tree
+    expect(keyOf(tree.floor(40))).toBe(40);
+    expect(keyOf(tree.ceiling(40))).toBe(40);
+    expect(keyOf(tree.lower(40))).toBe(30);
+    expect(keyOf(tree.higher(40))).toBe(50);
+    // key not in the tree
+    expect(keyOf(tree.floor(45))).toBe(40);
+    expect(keyOf(tree.ceiling(45))).toBe(50);
+    expect(keyOf(tree.lower(45))).toBe(40);
+    expect(keyOf(tree.higher(45))).toBe(50);
+    // beyond the extrema
+    expect(tree.floor(10)).toBeNull();
+    expect(tree.lower(20)).toBeNull();
+    expect(keyOf(tree.ceiling(10))).toBe(20);
+    expect(tree.ceiling(90)).toBeNull();
+    expect(tree.higher(80)).toBeNull();
+    expect(keyOf(tree.floor(90))).toBe(80);
+    // empty tree
+    const empty = new BinarySearchTree();
+    expect(empty.floor(1)).toBeNull();
+    expect(empty.higher(1)).toBeNull();
+});
+
+test('floor() and ceiling() agree with a linear scan', () => {
+    let tree = new AVLTree();
+    let keys = [];
+    for (let i = 0; i < 100; i++) {
+        const k = 2 * randint(0, 200);
+        if (! tree.search(k)) {
+            tree.insert(k);
+            keys.push(k);
+        }
+    }
+    for (let probe = -1; probe <= 401; probe++) {
+        const below = keys.filter(k => k <= probe);
+        const above = keys.filter(k => k >= probe);
+        const floor = below.length ? Math.max(...below) : null;
+        const ceiling = above.length ? Math.min(...above) : null;
+        expect(tree.floor(probe) ? tree.floor(probe).key : null).toBe(floor);
+        expect(tree.ceiling(probe) ? tree.ceiling(probe).key : null).toBe(ceiling);
+        const lower = tree.lower(probe);
+        expect(lower === null || lower.key < probe).toBeTruthy();
+        expect(tree.higher(probe) === tree.ceiling(probe + 1)).toBeTruthy();
+    }
+});
+
+
+test('fromSorted()', () => {
+    for (const n of [0, 1, 2, 3, 7, 8, 100, 1000]) {
+        const keys = Array.from({length: n}, (_, i) => i * 10);
+        const tree = BinarySearchTree.fromSorted(keys);
+        expect(tree).toBeInstanceOf(BinarySearchTree);
+        expect(tree.size()).toBe(n);
+        expect([...tree]).toEqual(keys);
+        expect(treeHeight(tree)).toBe(Math.ceil(Math.log2(n + 1)) - 1);
+        expect(checkParents(tree)).toBeTruthy();
+        expect(tree.checkInvariant()).toBeTruthy();
+    }
+    // the tree is fully functional
+    const tree = BinarySearchTree.fromSorted(['a', 'c', 'e']);
+    tree.insert('b');
+    tree.delete('c');
+    expect([...tree]).toEqual(['a', 'b', 'e']);
+    expect(tree.select(1).key).toBe('b');
+});
+
+test('fromSorted() validates its input', () => {
+    expect(() => BinarySearchTree.fromSorted([1, 3, 2])).toThrow('not sorted');
+    expect(() => BinarySearchTree.fromSorted([1, 2, 2])).toThrow('Duplicate');
+    expect(() => BinarySearchTree.fromSorted([1, '2'])).toThrow(TypeError);
+    expect(() => BinarySearchTree.fromSorted([NaN])).toThrow(TypeError);
+    // the order is the one of the comparator
+    const reversed = BinarySearchTree.fromSorted([3, 2, 1], (a, b) => b - a);
+    expect([...reversed]).toEqual([3, 2, 1]);
+    expect(() => BinarySearchTree.fromSorted([1, 2, 3], (a, b) => b - a)).toThrow(Error);
+    // duplicates are counted in a multiset
+    const multi = BinarySearchTree.fromSorted([1, 1, 2, 3, 3, 3], undefined, {multiset: true});
+    expect(multi.size()).toBe(6);
+    expect(multi.count(3)).toBe(3);
+    expect([...multi]).toEqual([1, 1, 2, 3, 3, 3]);
+    expect(multi.checkInvariant()).toBeTruthy();
+});
+
+test('AVLTree.fromSorted()', () => {
+    const keys = Array.from({length: 500}, (_, i) => i);
+    const avl = AVLTree.fromSorted(keys);
+    expect(avl).toBeInstanceOf(AVLTree);
+    expect(avl.root).toBeInstanceOf(AVLNode);
+    expect(avl.height()).toBe(8);
+    expect(avl.checkInvariant()).toBeTruthy();
+    for (let i = 0; i < 500; i += 2)
+        avl.delete(i);
+    expect(avl.checkInvariant()).toBeTruthy();
+});
+
+test('rebalance() a degenerate tree', () => {
+    // sorted insertions make a linked list
+    let tree = new BinarySearchTree();
+    const n = 2000;
+    for (let i = 0; i < n; i++)
+        tree.insert(i);
+    expect(treeHeight(tree)).toBe(n - 1);
+    tree.rebalance();
+    expect(treeHeight(tree)).toBe(Math.ceil(Math.log2(n + 1)) - 1);
+    expect(tree.size()).toBe(n);
+    expect(checkParents(tree)).toBeTruthy();
+    expect(tree.checkInvariant()).toBeTruthy();
+    expect([...tree]).toEqual(Array.from({length: n}, (_, i) => i));
+    expect(tree.select(1000).key).toBe(1000);
+    // rebalancing a balanced or an empty tree is harmless
+    tree.rebalance();
+    expect(treeHeight(tree)).toBe(Math.ceil(Math.log2(n + 1)) - 1);
+    let empty = new BinarySearchTree();
+    empty.rebalance();
+    expect(empty.isEmpty()).toBeTruthy();
+});
+
+test('rebalance() keeps random trees and AVL trees valid', () => {
+    for (const n of [1, 2, 3, 4, 5, 15, 16, 17, 100]) {
+        let tree = new BinarySearchTree(undefined, {multiset: true});
+        for (let i = 0; i < n; i++)
+            tree.insert(randint(0, 50));
+        const before = [...tree];
+        tree.rebalance();
+        expect([...tree]).toEqual(before);
+        const distinct = [...tree.ascendingNodes()].length;
+        expect(treeHeight(tree)).toBe(Math.ceil(Math.log2(distinct + 1)) - 1);
+        expect(checkParents(tree)).toBeTruthy();
+        expect(tree.checkInvariant()).toBeTruthy();
+    }
+    let avl = new AVLTree();
+    for (let i = 0; i < 100; i++)
+        avl.insert(i);
+    avl.rebalance();
+    expect(avl.height()).toBe(6);
+    expect(avl.checkInvariant()).toBeTruthy();
+});
+
+
+test('JSON: keys mode', () => {
+    let tree = new BinarySearchTree();
+    for (let i = 0; i < 20; i++)
+        tree.insert(i);
+    // the parent pointers do not get in the way
+    const json = JSON.stringify(tree);
+    expect(JSON.parse(json)).toEqual({version: 1, mode: 'keys', multiset: false,
+        keys: Array.from({length: 20}, (_, i) => i)});
+    const copy = BinarySearchTree.fromJSON(json);
+    expect([...copy]).toEqual([...tree]);
+    // rebuilt balanced
+    expect(treeHeight(copy)).toBe(4);
+    expect(checkParents(copy)).toBeTruthy();
+    expect(copy.checkInvariant()).toBeTruthy();
+    // other classes can read it
+    const avl = AVLTree.fromJSON(tree.toJSON());
+    expect(avl).toBeInstanceOf(AVLTree);
+    expect(avl.checkInvariant()).toBeTruthy();
+});
+
+test('JSON: shape mode', () => {
+    let tree = new BinarySearchTree(undefined, {multiset: true});
+    [50, 30, 70, 20, 40, 80, 30, 90].forEach(k => tree.insert(k));
+    const data = tree.toJSON({mode: 'shape'});
+    expect(data.nodes).toEqual([50, 30, 20, null, null, 40, null, null, 70, null, 80, null, 90, null, null]);
+    expect(data.counts).toEqual([1, 2, 1, 1, 1, 1, 1]);
+    const copy = BinarySearchTree.fromJSON(JSON.stringify(data));
+    expect(copy.multiset).toBeTruthy();
+    expect(copy.preOrderKeys()).toEqual(tree.preOrderKeys());
+    expect(copy.stringTree()).toBe(tree.stringTree());
+    expect(copy.size()).toBe(tree.size());
+    expect(checkParents(copy)).toBeTruthy();
+    expect(copy.checkInvariant()).toBeTruthy();
+    // empty tree
+    const empty = BinarySearchTree.fromJSON(new BinarySearchTree().toJSON({mode: 'shape'}));
+    expect(empty.isEmpty()).toBeTruthy();
+});
+
+test('JSON: shape of a deep tree and of an AVLTree', () => {
+    // a chain of 5000 keys, each the right child of the previous one, in pre-order
+    let nodes = [];
+    for (let i = 0; i < 5000; i++)
+        nodes.push(i, null);
+    nodes.push(null);
+    const json = {version: 1, mode: 'shape', nodes: nodes};
+    const copy = BinarySearchTree.fromJSON(json);
+    expect(treeHeight(copy)).toBe(4999);
+    expect(copy.size()).toBe(5000);
+    expect(copy.toJSON({mode: 'shape'}).nodes).toEqual(nodes);
+    // an unbalanced shape is not a valid AVL tree
+    expect(() => AVLTree.fromJSON(json)).toThrow('valid AVLTree');
+    let avl = new AVLTree();
+    for (let i = 0; i < 100; i++)
+        avl.insert(i);
+    const avlCopy = AVLTree.fromJSON(avl.toJSON({mode: 'shape'}));
+    expect(avlCopy.preOrderKeys()).toEqual(avl.preOrderKeys());
+    expect(avlCopy.height()).toBe(avl.height());
+    expect(avlCopy.checkInvariant()).toBeTruthy();
+});
+
+test('JSON: custom key encoding', () => {
+    const byTime = (a, b) => a.getTime() - b.getTime();
+    let tree = new BinarySearchTree(byTime);
+    [3, 1, 2].forEach(d => tree.insert(new Date(Date.UTC(2020, 5, d))));
+    const encode = (date) => date.toISOString();
+    const decode = (str) => new Date(str);
+    for (const mode of ['keys', 'shape']) {
+        const json = JSON.stringify(tree.toJSON({mode, encode}));
+        expect(json).toContain('2020-06-01T00:00:00.000Z');
+        const copy = BinarySearchTree.fromJSON(json, {compare: byTime, decode});
+        expect([...copy].map(d => d.getUTCDate())).toEqual([1, 2, 3]);
+        expect(copy.search(new Date(Date.UTC(2020, 5, 2)))).not.toBeNull();
+    }
+    expect(() => tree.toJSON({mode: 'shape', encode: () => null})).toThrow('Cannot serialize');
+});
+
+test('JSON: the options of the tree are passed to the constructor', () => {
+    const sum = {identity: 0, combine: (a, b) => a + b, fromKey: (key) => key};
+    let tree = new AVLTree(undefined, {aggregate: sum, multiset: true});
+    [4, 2, 6, 2].forEach(k => tree.insert(k));
+    for (const mode of ['keys', 'shape']) {
+        const copy = AVLTree.fromJSON(tree.toJSON({mode}), {aggregate: sum, multiset: false});
+        expect(copy.monoid).toBe(sum);
+        // the mode is saved in the JSON
+        expect(copy.multiset).toBeTruthy();
+        expect(copy.aggregate(0, 10)).toBe(14);
+        expect(copy.checkInvariant()).toBeTruthy();
+    }
+    expect(AVLTree.fromJSON(tree.toJSON()).monoid).toBeNull();
+});
+
+test('JSON: malformed input is rejected', () => {
+    const fromJSON = (data) => () => BinarySearchTree.fromJSON(data);
+    expect(fromJSON('{not json')).toThrow('Invalid tree JSON');
+    expect(fromJSON('42')).toThrow('not an object');
+    expect(fromJSON({mode: 'keys', keys: []})).toThrow('version');
+    expect(fromJSON({version: 2, mode: 'keys', keys: []})).toThrow('version');
+    expect(fromJSON({version: 1, mode: 'tree'})).toThrow('unknown mode');
+    expect(fromJSON({version: 1, mode: 'keys'})).toThrow('`keys`');
+    expect(fromJSON({version: 1, mode: 'keys', keys: [2, 1]})).toThrow('not sorted');
+    expect(fromJSON({version: 1, mode: 'keys', keys: [1, 1]})).toThrow('Duplicate');
+    expect(fromJSON({version: 1, mode: 'keys', keys: [1, '2']})).toThrow('Invalid tree JSON');
+    expect(fromJSON({version: 1, mode: 'shape', nodes: []})).toThrow('single tree');
+    expect(fromJSON({version: 1, mode: 'shape', nodes: [{a: 1}, null, null]})).toThrow('require a custom comparator');
+    expect(fromJSON({version: 1, mode: 'shape', nodes: [1, null]})).toThrow('ends before');
+    expect(fromJSON({version: 1, mode: 'shape', nodes: [1, null, null, 2]})).toThrow('single tree');
+    expect(fromJSON({version: 1, mode: 'shape', nodes: [1, 2, null, null, null]})).toThrow('valid BinarySearchTree');
+    expect(fromJSON({version: 1, mode: 'shape', multiset: true, nodes: [1, null, null]})).toThrow('`counts`');
+    expect(fromJSON({version: 1, mode: 'shape', multiset: true, nodes: [1, null, null], counts: [0]})).toThrow('valid');
+    expect(() => new BinarySearchTree().toJSON({mode: 'tree'})).toThrow('Unknown serialization mode');
+});
+
+
+test('Set algebra', () => {
+    const A = BinarySearchTree.fromSorted([1, 2, 3, 4, 5, 8]);
+    let B = new BinarySearchTree();
+    [9, 4, 2, 6, 8, 0].forEach(k => B.insert(k));
+    expect([...A.union(B)]).toEqual([0, 1, 2, 3, 4, 5, 6, 8, 9]);
+    expect([...A.intersection(B)]).toEqual([2, 4, 8]);
+    expect([...A.difference(B)]).toEqual([1, 3, 5]);
+    expect([...B.difference(A)]).toEqual([0, 6, 9]);
+    expect([...A.symmetricDifference(B)]).toEqual([0, 1, 3, 5, 6, 9]);
+    // the results are new balanced trees, and the operands are not modified
+    const union = A.union(B);
+    expect(union).not.toBe(A);
+    expect(treeHeight(union)).toBe(3);
+    expect(union.checkInvariant()).toBeTruthy();
+    expect([...A]).toEqual([1, 2, 3, 4, 5, 8]);
+    // empty trees
+    const empty = new BinarySearchTree();
+    expect([...A.union(empty)]).toEqual([...A]);
+    expect(A.intersection(empty).isEmpty()).toBeTruthy();
+    expect([...empty.symmetricDifference(B)]).toEqual([...B]);
+});
+
+test('isSubsetOf() and equals()', () => {
+    const A = BinarySearchTree.fromSorted([2, 4, 8]);
+    let B = new BinarySearchTree();
+    [9, 4, 2, 6, 8, 0].forEach(k => B.insert(k));
+    expect(A.isSubsetOf(B)).toBeTruthy();
+    expect(B.isSubsetOf(A)).toBeFalsy();
+    expect(A.isSubsetOf(A)).toBeTruthy();
+    expect(new BinarySearchTree().isSubsetOf(A)).toBeTruthy();
+    expect(A.equals(B)).toBeFalsy();
+    expect(A.equals(B.intersection(A))).toBeTruthy();
+    // same keys with different shapes
+    let C = new BinarySearchTree();
+    [8, 4, 2].forEach(k => C.insert(k));
+    expect(C.equals(A)).toBeTruthy();
+    C.insert(3);
+    expect(C.equals(A)).toBeFalsy();
+    expect(A.isSubsetOf(C)).toBeTruthy();
+    expect(C.isSubsetOf(A)).toBeFalsy();
+});
+
+test('Set algebra on multisets and subclasses', () => {
+    const opts = {multiset: true};
+    const A = BinarySearchTree.fromSorted([1, 1, 1, 2, 3, 3], undefined, opts);
+    const B = BinarySearchTree.fromSorted([1, 3, 3, 3, 4], undefined, opts);
+    expect([...A.union(B)]).toEqual([1, 1, 1, 2, 3, 3, 3, 4]);
+    expect([...A.intersection(B)]).toEqual([1, 3, 3]);
+    expect([...A.difference(B)]).toEqual([1, 1, 2]);
+    expect([...A.symmetricDifference(B)]).toEqual([1, 1, 2, 3, 4]);
+    expect(A.intersection(B).isSubsetOf(A)).toBeTruthy();
+    expect(BinarySearchTree.fromSorted([1, 1, 1, 1], undefined, opts).isSubsetOf(A)).toBeFalsy();
+    expect(A.equals(BinarySearchTree.fromSorted([1, 1, 2, 3, 3], undefined, opts))).toBeFalsy();
+    // the result has the class of the receiver
+    let avl = new AVLTree();
+    for (let i = 0; i < 100; i += 2)
+        avl.insert(i);
+    const avlUnion = avl.union(BinarySearchTree.fromSorted([1, 3, 5]));
+    expect(avlUnion).toBeInstanceOf(AVLTree);
+    expect(avlUnion.size()).toBe(53);
+    expect(avlUnion.checkInvariant()).toBeTruthy();
+});
+
+test('Set algebra rejects incompatible orderings', () => {
+    const A = BinarySearchTree.fromSorted([1, 2, 3]);
+    const reversed = BinarySearchTree.fromSorted([3, 2, 1], (a, b) => b - a);
+    expect(() => A.union(reversed)).toThrow('incompatible orderings');
+    expect(() => A.isSubsetOf(reversed)).toThrow('incompatible orderings');
+    expect(() => A.equals([1, 2, 3])).toThrow(TypeError);
+});
+
+test('Set algebra of a set with a multiset gives a set', () => {
+    const A = BinarySearchTree.fromSorted([1, 2]);
+    const multi = BinarySearchTree.fromSorted([2, 2, 3], undefined, {multiset: true});
+    expect([...A.union(multi)]).toEqual([1, 2, 3]);
+    expect([...A.intersection(multi)]).toEqual([2]);
+    expect([...A.difference(multi)]).toEqual([1]);
+    expect([...A.symmetricDifference(multi)]).toEqual([1, 3]);
+    expect(A.union(multi).checkInvariant()).toBeTruthy();
+    expect([...multi.union(A)]).toEqual([1, 2, 2, 3]);
+    expect([...multi.difference(A)]).toEqual([2, 3]);
+});
+
+test('split() and join()', () => {
+    for (const TreeClass of [BinarySearchTree, AVLTree]) {
+        let tree = new TreeClass();
+        let keys = new Set();
+        while (keys.size < 300)
+            keys.add(randint(-1000, 1000));
+        for (const key of keys)
+            tree.insert(key);
+        const sorted = [...tree];
+        // split at a key in the tree
+        const key = sorted[123];
+        let {left, middle, right} = tree.split(key);
+        expect(tree.isEmpty()).toBeTruthy();
+        expect(middle.key).toBe(key);
+        expect(middle.parent).toBeNull();
+        expect([...left]).toEqual(sorted.slice(0, 123));
+        expect([...right]).toEqual(sorted.slice(124));
+        for (const part of [left, right]) {
+            expect(part).toBeInstanceOf(TreeClass);
+            expect(part.checkInvariant()).toBeTruthy();
+            expect(checkParents(part)).toBeTruthy();
+        }
+        expect(left.size()).toBe(123);
+        expect(right.size()).toBe(176);
+        // join them back
+        const joined = TreeClass.join(left, right);
+        expect(joined).toBeInstanceOf(TreeClass);
+        expect([...joined]).toEqual(sorted.filter(k => k != key));
+        expect(joined.size()).toBe(299);
+        expect(joined.checkInvariant()).toBeTruthy();
+        expect(checkParents(joined)).toBeTruthy();
+        expect(left.isEmpty() && right.isEmpty()).toBeTruthy();
+        // split at a key not in the tree, and at the extremes
+        ({left, middle, right} = joined.split(sorted[200] + 0.5));
+        expect(middle).toBeNull();
+        expect(left.size() + right.size()).toBe(299);
+        expect(left.max().key).toBe(sorted[200]);
+        expect(right.min().key).toBe(sorted[201]);
+        expect(left.checkInvariant() && right.checkInvariant()).toBeTruthy();
+        ({left, middle, right} = TreeClass.join(left, right).split(-5000));
+        expect(left.isEmpty()).toBeTruthy();
+        expect(right.size()).toBe(299);
+        expect(right.checkInvariant()).toBeTruthy();
+    }
+});
+
+test('join() of unbalanced sizes and empty trees', () => {
+    let small = AVLTree.fromSorted([1, 2, 3]);
+    let big = new AVLTree();
+    for (let i = 10; i < 1000; i++)
+        big.insert(i);
+    let joined = AVLTree.join(small, big);
+    expect(joined.size()).toBe(993);
+    expect(joined.checkInvariant()).toBeTruthy();
+    expect(checkParents(joined)).toBeTruthy();
+    const {left, right} = joined.split(500);
+    joined = AVLTree.join(right.split(900).right, AVLTree.fromSorted([5000]));
+    expect([...joined]).toEqual([...Array(99).keys()].map(i => i + 901).concat([5000]));
+    expect(joined.checkInvariant()).toBeTruthy();
+    const leftKeys = [...left];
+    expect([...AVLTree.join(left, new AVLTree())]).toEqual(leftKeys);
+    expect(left.isEmpty()).toBeTruthy();
+    expect([...AVLTree.join(new AVLTree(), AVLTree.fromSorted([7]))]).toEqual([7]);
+    expect(AVLTree.join(new AVLTree(), new AVLTree()).isEmpty()).toBeTruthy();
+    // multisets keep the count of each key
+    const opts = {multiset: true};
+    let multi = BinarySearchTree.fromSorted([1, 2, 2, 3, 3, 3], undefined, opts);
+    const parts = multi.split(2);
+    expect(parts.middle.count).toBe(2);
+    expect(parts.left.size() + parts.right.size()).toBe(4);
+});
+
+test('join() rejects overlapping or incompatible trees', () => {
+    expect(() => BinarySearchTree.join(BinarySearchTree.fromSorted([1, 5]),
+        BinarySearchTree.fromSorted([5, 6]))).toThrow('overlap');
+    expect(() => BinarySearchTree.join(BinarySearchTree.fromSorted([1, 5]),
+        AVLTree.fromSorted([6]))).toThrow(TypeError);
+    expect(() => BinarySearchTree.join(BinarySearchTree.fromSorted([1]),
+        BinarySearchTree.fromSorted([6], undefined, {multiset: true}))).toThrow(TypeError);
+    expect(() => BinarySearchTree.join([1], BinarySearchTree.fromSorted([6]))).toThrow(TypeError);
+});
+
+test('Subtree aggregates and range queries', () => {
+    const sum = {identity: 0, combine: (a, b) => a + b, fromKey: (key) => key};
+    // a non-commutative monoid checks that the keys are combined in order
+    const concat = {identity: '', combine: (a, b) => a + b, fromKey: (key) => String.fromCharCode(key)};
+    for (const TreeClass of [BinarySearchTree, AVLTree]) {
+        let tree = new TreeClass(undefined, {aggregate: sum});
+        let text = new TreeClass(undefined, {aggregate: concat});
+        let keys = new Set();
+        for (let i = 0; i < 2000; i++) {
+            const key = randint(65, 365);
+            if (keys.has(key)) {
+                tree.delete(key);
+                text.delete(key);
+                keys.delete(key);
+            }
+            else {
+                tree.insert(key);
+                text.insert(key);
+                keys.add(key);
+            }
+        }
+        tree.rebalance();
+        const sorted = [...keys].sort((a, b) => a - b);
+        for (let lo = 60; lo < 370; lo += 13)
+            for (let hi = lo - 20; hi < 370; hi += 29) {
+                const inRange = sorted.filter(k => k >= lo && k < hi);
+                expect(tree.aggregate(lo, hi)).toBe(inRange.reduce((a, b) => a + b, 0));
+                expect(text.aggregate(lo, hi)).toBe(String.fromCharCode(...inRange));
+                const closed = sorted.filter(k => k > lo && k <= hi);
+                expect(tree.aggregate(lo, hi, {loInclusive: false, hiInclusive: true}))
+                    .toBe(closed.reduce((a, b) => a + b, 0));
+            }
+        expect(tree.root.aggregate).toBe(sorted.reduce((a, b) => a + b, 0));
+        expect(tree.checkInvariant()).toBeTruthy();
+    }
+});
+
+test('Aggregates of multisets, splits and joins', () => {
+    const max = {identity: -Infinity, combine: Math.max, fromKey: (key) => key.latency};
+    const byTime = (a, b) => a.time - b.time;
+    let tree = new AVLTree(byTime, {aggregate: max});
+    for (let time = 0; time < 100; time++)
+        tree.insert({time: time, latency: (time * 37) % 101});
+    const window = (t1, t2) => tree.aggregate({time: t1}, {time: t2});
+    const latencies = [...Array(100).keys()].map(time => (time * 37) % 101);
+    expect(window(0, 100)).toBe(Math.max(...latencies));
+    expect(window(10, 20)).toBe(Math.max(...latencies.slice(10, 20)));
+    expect(window(50, 50)).toBe(-Infinity);
+    const {left, right} = tree.split({time: 50});
+    expect(left.aggregate({time: 0}, {time: 100})).toBe(left.root.aggregate);
+    expect(left.monoid).toBe(max);
+    const joined = AVLTree.join(left, right);
+    expect(joined.aggregate({time: 0}, {time: 100})).toBe(Math.max(...latencies));
+    expect(joined.aggregate({time: 60}, {time: 70})).toBe(Math.max(...latencies.slice(60, 70)));
+    // in a multiset, every occurrence counts
+    const sum = {identity: 0, combine: (a, b) => a + b, fromKey: (key) => key};
+    let multi = new BinarySearchTree(undefined, {multiset: true, aggregate: sum});
+    for (const key of [5, 5, 5, 2, 7, 7])
+        multi.insert(key);
+    expect(multi.aggregate(0, 10)).toBe(31);
+    multi.delete(5);
+    expect(multi.aggregate(5, 6)).toBe(10);
+    expect(BinarySearchTree.fromSorted([1, 1, 1, 1, 1, 1, 1], undefined,
+        {multiset: true, aggregate: sum}).aggregate(0, 2)).toBe(7);
+    expect(multi.union(BinarySearchTree.fromSorted([100])).aggregate(0, 1000)).toBe(126);
+});
+
+test('Size and AVL height are augmentations', () => {
+    let tree = new AVLTree();
+    expect(tree._augmentations.map(a => a.name)).toEqual(['subtreeSize', 'avlHeight']);
+    expect(tree._augmentations).toContain(AVLNode.HEIGHT);
+    for (let i = 0; i < 100; i++)
+        tree.insert(i);
+    expect(tree.root.subtreeSize).toBe(100);
+    expect(tree.height()).toBe(6);
+    expect(tree.checkInvariant()).toBeTruthy();
+    // a tree without a monoid has no aggregate
+    expect(() => tree.aggregate(0, 10)).toThrow('no aggregate');
+    expect(() => new BinarySearchTree(undefined, {aggregate: {combine: Math.max}})).toThrow(TypeError);
+    expect(() => new BinarySearchTree(undefined, {aggregate: Math.max})).toThrow(TypeError);
+});
+
+test('validate() reports every violation with its path and key', () => {
+    let tree = BinarySearchTree.fromSorted([1, 2, 3, 4, 5, 6, 7]);
+    let report = tree.validate();
+    expect(report).toBeInstanceOf(ValidationReport);
+    expect(report.valid).toBeTruthy();
+    expect(report.violations).toEqual([]);
+    // 5 is in the left subtree of 4, but it is still greater than its parent 2
+    const node = tree.search(3);
+    node.key = 5;
+    report = tree.validate();
+    expect(report.valid).toBeFalsy();
+    expect(tree.checkInvariant()).toBeFalsy();
+    expect(report.violations).toEqual([{
+        rule: 'order', path: ['left', 'right'], key: 5,
+        message: 'the key must be smaller than 4, the key of an ancestor',
+    }]);
+    expect(report.toString()).toBe('order at root.left.right (key 5): ' + report.violations[0].message);
+    node.key = 3;
+    // wrong parent, size and subtree size
+    tree.search(5).parent = tree.root;
+    tree._size = 8;
+    tree.search(1).subtreeSize = 2;
+    report = tree.validate();
+    expect(report.violations.map(v => [v.rule, v.path])).toEqual([
+        ['parent', ['right', 'left']],
+        ['subtreeSize', ['left', 'left']],
+        // the size of the parent is checked against the size stored in the child
+        ['subtreeSize', ['left']],
+        ['size', null],
+    ]);
+    expect(report.violations[3].key).toBeUndefined();
+    // the validation can stop at the first violation
+    report = tree.validate({maxViolations: 1});
+    expect(report.violations.map(v => v.rule)).toEqual(['parent']);
+    expect(report.valid).toBeFalsy();
+});
+
+test('validate() detects cycles and shared subtrees', () => {
+    let tree = BinarySearchTree.fromSorted([1, 2, 3]);
+    tree.search(3).right = tree.root;
+    let report = tree.validate();
+    expect(report.violations).toEqual([{rule: 'acyclic', path: ['right'], key: 3,
+        message: 'the right child has already been reached from the root'}]);
+    tree.search(3).right = null;
+    tree.search(3).left = tree.search(1);
+    expect(tree.validate().violations.map(v => v.rule)).toContain('acyclic');
+    tree.search(3).left = null;
+    expect(tree.checkInvariant()).toBeTruthy();
+    // keys that cannot be compared, and invalid counts
+    tree.search(1).key = 'one';
+    tree.root.count = 2;
+    report = tree.validate();
+    expect(report.violations.map(v => v.rule)).toEqual(['count', 'compare', 'subtreeSize']);
+    expect(report.violations[1].message).toMatch('different types');
+    // a key that cannot be compared, even without other keys to compare it with
+    let single = new BinarySearchTree();
+    single.insert(1);
+    single.root.key = {a: 1};
+    expect(single.validate().violations).toEqual([{rule: 'compare', path: [], key: {a: 1},
+        message: 'Keys of type object require a custom comparator'}]);
+});
+
+test('validate() includes the invariants of the subclasses', () => {
+    let avl = new AVLTree();
+    for (let i = 0; i < 15; i++)
+        avl.insert(i);
+    expect(avl.validate().valid).toBeTruthy();
+    avl.search(14).avlHeight = 3;
+    expect(avl.validate().violations.map(v => [v.rule, v.key])).toEqual([['avlHeight', 14]]);
+    avl.search(14).avlHeight = 0;
+    // an unbalanced tree, where the heights are up to date
+    avl.del(avl.search(12));
+    avl.del(avl.search(14));
+    avl.rotateLeft(avl.search(11));
+    expect(avl.validate().violations.map(v => v.rule)).toContain('balance');
+    // a deep chain where almost every node is unbalanced: the paths are only found when read
+    const n = 20000;
+    let chain = new AVLTree();
+    let last = null;
+    for (let i = 0; i < n; i++) {
+        const node = chain._createNode(i);
+        if (last)
+            last.right = node;
+        else
+            chain.root = node;
+        node.parent = last;
+        last = node;
+    }
+    for (const node of chain._nodesBottomUp())
+        chain._updateNode(node);
+    chain._size = n;
+    const violations = chain.validate().violations;
+    expect(violations.length).toBe(n - 2);
+    expect(violations[0]).toMatchObject({rule: 'balance', key: n - 3});
+    expect(violations[n - 3].path).toEqual([]);
+    expect(violations[0].path.length).toBe(n - 3);
+    // fromJSON() reports the first violation
+    expect(() => BinarySearchTree.fromJSON({version: 1, mode: 'shape', nodes: [2, 1, null, 3, null, null, null]}))
+        .toThrow('order at root.left.right (key 3)');
+});
+
+test('stats() measures the shape of the tree', () => {
+    let empty = new BinarySearchTree().stats();
+    expect(empty).toMatchObject({size: 0, nodeCount: 0, height: -1, minLeafDepth: -1, maxLeafDepth: -1,
+        leafCount: 0, totalDepth: 0, averageDepth: 0, externalPathLength: 0, optimalHeight: -1, heightRatio: 1});
+    expect(empty.balanceFactors.size).toBe(0);
+    // a perfect tree of 7 nodes
+    let stats = BinarySearchTree.fromSorted([1, 2, 3, 4, 5, 6, 7]).stats();
+    expect(stats).toMatchObject({size: 7, nodeCount: 7, height: 2, minLeafDepth: 2, maxLeafDepth: 2,
+        leafCount: 4, totalDepth: 10, internalPathLength: 10, externalPathLength: 24,
+        optimalHeight: 2, heightRatio: 1});
+    expect(stats.averageDepth).toBeCloseTo(10 / 7);
+    expect([...stats.balanceFactors]).toEqual([[0, 7]]);
+    // an unbalanced multiset
+    let tree = new BinarySearchTree(undefined, {multiset: true});
+    for (const key of [5, 3, 8, 1, 1, 9, 10, 11])
+        tree.insert(key);
+    stats = tree.stats();
+    expect(stats).toMatchObject({size: 8, nodeCount: 7, height: 4, minLeafDepth: 2, maxLeafDepth: 4,
+        leafCount: 2, totalDepth: 13, externalPathLength: 27, optimalHeight: 2});
+    expect(stats.heightRatio).toBeCloseTo(5 / 3);
+    expect([...stats.balanceFactors]).toEqual([[-1, 1], [0, 2], [1, 1], [2, 2], [3, 1]]);
+    // the balance factors match the ones of an AVL tree
+    let avl = new AVLTree();
+    // distinct keys in a scrambled order, since 37 and 101 are coprime: an AVLTree
+    // rejects duplicates, so random keys would depend on the seed
+    for (let i = 0; i < 100; i++)
+        avl.insert((i * 37) % 101);
+    let histogram = new Map();
+    for (const node of avl._nodesBottomUp())
+        histogram.set(node.balanceFactor, (histogram.get(node.balanceFactor) || 0) + 1);
+    stats = avl.stats();
+    expect([...stats.balanceFactors].sort()).toEqual([...histogram].sort());
+    expect(stats.height).toBe(avl.height());
+    expect(stats.externalPathLength).toBe(stats.internalPathLength + 2 * stats.nodeCount);
+});
+
+test('stats() works on degenerate trees of any depth', () => {
+    // a list of 100000 nodes, too deep for a recursive visit
+    const n = 100000;
+    let tree = new BinarySearchTree();
+    let last = null;
+    for (let i = 0; i < n; i++) {
+        const node = new BstNode(i);
+        if (last)
+            last.addRight(node);
+        else
+            tree.root = node;
+        last = node;
+    }
+    tree._size = n;
+    const stats = tree.stats();
+    expect(stats).toMatchObject({nodeCount: n, height: n - 1, minLeafDepth: n - 1, leafCount: 1,
+        totalDepth: n * (n - 1) / 2, optimalHeight: 16});
+    expect(stats.heightRatio).toBeCloseTo(n / 17);
+    // every node has a different balance factor, from 0 (the leaf) to n - 1 (the root)
+    expect(stats.balanceFactors.size).toBe(n);
+    expect([...stats.balanceFactors.keys()].slice(0, 3)).toEqual([0, 1, 2]);
+    expect(stats.balanceFactors.get(n - 1)).toBe(1);
+});
+
+test('Traversals in every order', () => {
+    //        4
+    //      /   \
+    //     2     6
+    //    / \     \
+    //   1   3     7
+    let tree = new BinarySearchTree();
+    [4, 2, 6, 1, 3, 7].forEach(k => tree.insert(k));
+    const keys = (nodes) => [...nodes].map(node => node.key);
+    expect(keys(tree.preOrderNodes())).toEqual([4, 2, 1, 3, 6, 7]);
+    expect(keys(tree.inOrderNodes())).toEqual([1, 2, 3, 4, 6, 7]);
+    expect(keys(tree.reverseInOrderNodes())).toEqual([7, 6, 4, 3, 2, 1]);
+    expect(keys(tree.postOrderNodes())).toEqual([1, 3, 2, 7, 6, 4]);
+    expect(keys(tree.levelOrderNodes())).toEqual([4, 2, 6, 1, 3, 7]);
+    expect([...tree.levels()].map(keys)).toEqual([[4], [2, 6], [1, 3, 7]]);
+    expect(keys(tree.morrisInOrderNodes())).toEqual([1, 2, 3, 4, 6, 7]);
+    expect(tree.checkInvariant()).toBeTruthy();
+    // the iterators are lazy
+    const iterator = tree.postOrderNodes();
+    expect(iterator.next().value.key).toBe(1);
+    expect(iterator.next().value.key).toBe(3);
+    // an empty tree
+    const empty = new BinarySearchTree();
+    for (const order of ['preOrder', 'inOrder', 'postOrder', 'reverseInOrder', 'levelOrder', 'morrisInOrder', 'levels'])
+        expect(empty.traverse(order, () => { throw new Error('no nodes to visit'); })).toBeTruthy();
+    // a random AVL tree: every order visits every node once
+    let avl = new AVLTree();
+    for (let i = 0; i < 200; i++)
+        avl.insert((i * 89) % 211);
+    const sorted = [...avl.ascending()];
+    expect(keys(avl.inOrderNodes())).toEqual(sorted);
+    expect(keys(avl.morrisInOrderNodes())).toEqual(sorted);
+    expect(keys(avl.reverseInOrderNodes())).toEqual([...sorted].reverse());
+    expect(keys(avl.preOrderNodes()).sort((a, b) => a - b)).toEqual(sorted);
+    expect(keys(avl.levelOrderNodes()).sort((a, b) => a - b)).toEqual(sorted);
+    const postOrder = [...avl.postOrderNodes()];
+    expect(postOrder.length).toBe(200);
+    // each node comes after its children
+    postOrder.forEach((node, i) => {
+        for (const child of [node.left, node.right])
+            if (child)
+                expect(postOrder.indexOf(child)).toBeLessThan(i);
+    });
+    expect([...avl.levels()].length).toBe(avl.height() + 1);
+    expect(avl.checkInvariant()).toBeTruthy();
+});
+
+test('traverse() stops when the visitor returns false', () => {
+    let tree = BinarySearchTree.fromSorted([...Array(31).keys()]);
+    let visited = [];
+    expect(tree.traverse('inOrder', node => { visited.push(node.key); })).toBeTruthy();
+    expect(visited).toEqual([...Array(31).keys()]);
+    for (const order of ['preOrder', 'inOrder', 'postOrder', 'reverseInOrder', 'levelOrder', 'morrisInOrder']) {
+        visited = [];
+        expect(tree.traverse(order, node => {
+            visited.push(node.key);
+            return visited.length < 5;
+        })).toBeFalsy();
+        expect(visited.length).toBe(5);
+    }
+    let levels = [];
+    expect(tree.traverse('levels', level => levels.push(level.length) < 3)).toBeFalsy();
+    expect(levels).toEqual([1, 2, 4]);
+    expect(() => tree.traverse('sideways', () => true)).toThrow('Unknown traversal order');
+    expect(() => tree.traverse('inOrder')).toThrow(TypeError);
+    // a Morris traversal stopped early, even by an exception, removes all of its threads
+    expect(() => tree.traverse('morrisInOrder', node => {
+        if (node.key == 20)
+            throw new Error('stop');
+    })).toThrow('stop');
+    for (const node of tree.morrisInOrderNodes())
+        if (node.key == 9)
+            break;
+    expect(tree.checkInvariant()).toBeTruthy();
+    expect([...tree.ascending()]).toEqual([...Array(31).keys()]);
+});
+
+test('Traversals work on degenerate trees of any depth', () => {
+    // a list of 100000 nodes, too deep for a recursive visit
+    const n = 100000;
+    let tree = new BinarySearchTree();
+    let last = null;
+    for (let i = 0; i < n; i++) {
+        const node = new BstNode(i);
+        if (last)
+            last.addLeft(node);
+        else
+            tree.root = node;
+        last = node;
+    }
+    let count = 0;
+    for (const order of ['preOrder', 'inOrder', 'postOrder', 'reverseInOrder', 'levelOrder', 'morrisInOrder'])
+        tree.traverse(order, () => { count += 1; });
+    expect(count).toBe(6 * n);
+    expect(tree.inOrderKeys().length).toBe(n);
+    expect(tree.inOrderKeys()[0].key).toBe(n - 1);
+    expect(tree.postOrderNodes().next().value.key).toBe(n - 1);
+    expect(tree.reverseInOrderNodes().next().value.key).toBe(0);
+});
+
+test('stringTree() visits the tree without recursion', () => {
+    let tree = new BinarySearchTree(undefined, {multiset: true});
+    [2, 1, 3, 3].forEach(k => tree.insert(k));
+    expect(tree.stringTree()).toBe(
+        '----[2]\n' +
+        '        ----[1]\n' +
+        '                ----[]\n' +
+        '                ----[]\n' +
+        '        ----[3 x2]\n' +
+        '                ----[]\n' +
+        '                ----[]\n');
+    expect(new BinarySearchTree().stringTree()).toBe('----[]\n');
+    // each line is indented by the depth of its node, so a deep chain makes a long string
+    const n = 3000;
+    let chain = new BinarySearchTree();
+    let last = null;
+    for (let i = 0; i < n; i++) {
+        const node = new BstNode(i);
+        if (last)
+            last.addRight(node);
+        else
+            chain.root = node;
+        last = node;
+    }
+    const lines = chain.stringTree().split('\n');
+    expect(lines.length).toBe(2 * n + 2);
+    expect(lines[2 * n - 2]).toBe('    '.repeat(2 * (n - 1)) + '----[' + (n - 1) + ']');
+});
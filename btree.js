@@ -0,0 +1,563 @@
+/*
+    B-Tree in Javascript - Implementation.
+
+    Copyright 2020 Dr. Christian Bruccoleri
+    License: MIT License. See also the LICENSE file included in this distribution.
+ */
+
+const {BinarySearchTree, defaultCompare} = require('./bst');
+
+
+/**
+ * A node of a `BTree`: a sorted array of keys and, unless the node is a leaf, an array
+ * with one more child than keys. The subtree `children[i]` holds the keys between
+ * `keys[i-1]` and `keys[i]`. `counts[i]` is the number of occurrences of `keys[i]`,
+ * greater than 1 only in a multiset.
+ */
+class BTreeNode {
+    constructor() {
+        this.keys = [];
+        this.counts = [];
+        this.children = [];
+    }
+
+    /** A node is a leaf if and only if it has no children. */
+    isLeaf() {
+        return this.children.length == 0;
+    }
+}
+
+
+/**
+ * B-tree, as described in Cormen et al., "Introduction to Algorithms", Ch. 18. Each node
+ * stores many keys in an array, so there are far fewer nodes and pointers than in a
+ * binary tree, and searches within a node scan contiguous memory.
+ *
+ * The minimum degree t defines the fill bounds: every node except the root has between
+ * t-1 and 2t-1 keys, and all the leaves are at the same depth, so the height is at most
+ * log_t((n+1)/2). Insertions split full nodes and deletions refill nodes with t-1 keys on
+ * the way down, so each update walks a single path from the root.
+ *
+ * The public surface is the same as `BinarySearchTree` (comparator, multiset mode,
+ * `insert()`, `search()`, `delete()`, `min()`, `max()`, `successor()`, `predecessor()`,
+ * the ordered iterators, ...), so the two can be swapped. Since keys do not have a node
+ * of their own, the methods that return a node in `BinarySearchTree` return an entry
+ * `{key, count, node, index}` instead: the key is `node.keys[index]`. An entry is only
+ * valid until the tree is modified.
+ */
+class BTree {
+    /**
+     * @param {Function} compare Comparator of the keys, see `BinarySearchTree`.
+     * @param {Object} options   Optional settings, see `BinarySearchTree`, plus
+     *                           `minDegree`: the minimum degree t of the nodes, an
+     *                           integer of at least 2 (default 16).
+     */
+    constructor(compare=defaultCompare, {multiset=false, minDegree=16}={}) {
+        if (typeof(compare) !== 'function')
+            throw new TypeError('The comparator must be a function; got: ' + typeof(compare));
+        if (! Number.isInteger(minDegree) || minDegree < 2)
+            throw new Error('The minimum degree must be an integer of at least 2; got: ' + String(minDegree));
+        this.compare = compare;
+        this.multiset = Boolean(multiset);
+        this.minDegree = minDegree;
+        this.root = null;
+        this._size = 0;
+    }
+
+    /** Compare two keys with the comparator of the tree, see `BinarySearchTree._compare()`. */
+    _compare(a, b) {
+        return BinarySearchTree.prototype._compare.call(this, a, b);
+    }
+
+    /** Return the entry of the `index`-th key of `node`. */
+    _entry(node, index) {
+        return {key: node.keys[index], count: node.counts[index], node: node, index: index};
+    }
+
+    /**
+     * Return the number of keys of `node` smaller than `key`, with a binary search.
+     * @param {BTreeNode} node The node to search.
+     * @param {any} key The key to look for.
+     * @param {boolean} inclusive If true, count the keys smaller than or equal to `key`.
+     */
+    _bound(node, key, inclusive=false) {
+        let lo = 0;
+        let hi = node.keys.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >>> 1;
+            const cmp = this._compare(node.keys[mid], key);
+            if (cmp < 0 || (cmp == 0 && inclusive))
+                lo = mid + 1;
+            else
+                hi = mid;
+        }
+        return lo;
+    }
+
+    /** Return true if and only if the `index`-th key of `node` is the same as `key`. */
+    _isAt(node, index, key) {
+        return index < node.keys.length && this._compare(key, node.keys[index]) == 0;
+    }
+
+    /** Number of keys in the tree. In multiset mode, every occurrence is counted. */
+    size() {
+        return this._size;
+    }
+
+    /** Return true if and only if this is an empty tree. */
+    isEmpty() {
+        return this.root == null;
+    }
+
+    /**
+     * Height of the tree: 0 if the root is a leaf, -1 if the tree is empty.
+     *
+     * Complexity: O(h)
+     */
+    height() {
+        let height = -1;
+        for (let node = this.root; node != null; node = node.children[0] || null)
+            height += 1;
+        return height;
+    }
+
+    /**
+     * Return the number of occurrences of `key` in the tree: 0 or 1, unless the tree
+     * is a multiset.
+     * @param {any} key The key to count.
+     */
+    count(key) {
+        const entry = this.search(key);
+        return entry ? entry.count: 0;
+    }
+
+    /**
+     * Search the key in the tree, if found return its entry, otherwise `null`.
+     *
+     * Complexity: O(t log_t n)
+     *
+     * @param {any} key The key to look for.
+     */
+    search(key) {
+        let node = this.root;
+        while (node != null) {
+            const i = this._bound(node, key);
+            if (this._isAt(node, i, key))
+                return this._entry(node, i);
+            node = node.isLeaf() ? null: node.children[i];
+        }
+        return null;
+    }
+
+    /**
+     * Split the full child `parent.children[i]` into two nodes of t-1 keys; its middle
+     * key moves up into `parent`, which must not be full.
+     */
+    _splitChild(parent, i) {
+        const t = this.minDegree;
+        const child = parent.children[i];
+        let right = new BTreeNode();
+        right.keys = child.keys.splice(t);
+        right.counts = child.counts.splice(t);
+        if (! child.isLeaf())
+            right.children = child.children.splice(t);
+        parent.keys.splice(i, 0, child.keys.pop());
+        parent.counts.splice(i, 0, child.counts.pop());
+        parent.children.splice(i + 1, 0, right);
+    }
+
+    /**
+     * Insert `key` in the tree. Full nodes met on the way down are split in advance, so
+     * that the key can always be added to a leaf, and there is no need to walk back up.
+     *
+     * Complexity: O(t log_t n)
+     *
+     * @param {any} key The key to be inserted. A duplicate key is an error, unless the
+     *                  tree is a multiset, in which case its count is incremented.
+     * @return {Object} The entry of `key`.
+     */
+    insert(key) {
+        // an empty tree does not compare anything, but the key must still be valid
+        if (this.root == null)
+            this._compare(key, key);
+        const found = this.search(key);
+        if (found && this.multiset) {
+            found.node.counts[found.index] += 1;
+            this._size += 1;
+            return this._entry(found.node, found.index);
+        }
+        else if (found)
+            throw new Error('Duplicate key: ' + JSON.stringify(key));
+        const maxKeys = 2 * this.minDegree - 1;
+        if (this.root == null)
+            this.root = new BTreeNode();
+        else if (this.root.keys.length == maxKeys) {
+            // the tree grows at the root
+            let root = new BTreeNode();
+            root.children.push(this.root);
+            this.root = root;
+            this._splitChild(root, 0);
+        }
+        let node = this.root;
+        for (;;) {
+            let i = this._bound(node, key);
+            if (node.isLeaf()) {
+                node.keys.splice(i, 0, key);
+                node.counts.splice(i, 0, 1);
+                this._size += 1;
+                return this._entry(node, i);
+            }
+            if (node.children[i].keys.length == maxKeys) {
+                this._splitChild(node, i);
+                if (this._compare(key, node.keys[i]) > 0)
+                    i += 1;
+            }
+            node = node.children[i];
+        }
+    }
+
+    /**
+     * Merge `node.children[i+1]` and the key `node.keys[i]` into `node.children[i]`.
+     * Both children must have t-1 keys.
+     */
+    _mergeChildren(node, i) {
+        let left = node.children[i];
+        const right = node.children[i+1];
+        left.keys.push(node.keys[i], ...right.keys);
+        left.counts.push(node.counts[i], ...right.counts);
+        left.children.push(...right.children);
+        node.keys.splice(i, 1);
+        node.counts.splice(i, 1);
+        node.children.splice(i + 1, 1);
+    }
+
+    /**
+     * Make sure that `node.children[i]` has at least t keys before descending into it,
+     * by moving a key from a sibling through `node`, or by merging it with a sibling.
+     * @return {BTreeNode} The child to descend into.
+     */
+    _refill(node, i) {
+        const t = this.minDegree;
+        let child = node.children[i];
+        if (child.keys.length >= t)
+            return child;
+        const left = i > 0 ? node.children[i-1]: null;
+        const right = i < node.keys.length ? node.children[i+1]: null;
+        if (left && left.keys.length >= t) {
+            // rotate the last key of the left sibling through the parent
+            child.keys.unshift(node.keys[i-1]);
+            child.counts.unshift(node.counts[i-1]);
+            node.keys[i-1] = left.keys.pop();
+            node.counts[i-1] = left.counts.pop();
+            if (! left.isLeaf())
+                child.children.unshift(left.children.pop());
+        }
+        else if (right && right.keys.length >= t) {
+            // rotate the first key of the right sibling through the parent
+            child.keys.push(node.keys[i]);
+            child.counts.push(node.counts[i]);
+            node.keys[i] = right.keys.shift();
+            node.counts[i] = right.counts.shift();
+            if (! right.isLeaf())
+                child.children.push(right.children.shift());
+        }
+        else if (right)
+            this._mergeChildren(node, i);
+        else {
+            this._mergeChildren(node, i - 1);
+            child = left;
+        }
+        return child;
+    }
+
+    /**
+     * Delete `key` from the tree, if present. In a multiset only one occurrence of the
+     * key is removed. Every node met on the way down is refilled to at least t keys, so
+     * that a key can be removed from a leaf without walking back up. A key in an
+     * internal node is replaced by its predecessor or successor, which is then deleted
+     * from the subtree it comes from.
+     *
+     * Complexity: O(t log_t n)
+     *
+     * @param {any} key The key to delete.
+     */
+    delete(key) {
+        const found = this.search(key);
+        if (! found)
+            return;
+        this._size -= 1;
+        if (found.count > 1) {
+            found.node.counts[found.index] -= 1;
+            return;
+        }
+        const t = this.minDegree;
+        let node = this.root;
+        for (;;) {
+            const i = this._bound(node, key);
+            if (this._isAt(node, i, key)) {
+                if (node.isLeaf()) {
+                    node.keys.splice(i, 1);
+                    node.counts.splice(i, 1);
+                    break;
+                }
+                const left = node.children[i];
+                const right = node.children[i+1];
+                if (left.keys.length >= t) {
+                    // replace the key with its predecessor, and delete that instead
+                    let pred = left;
+                    while (! pred.isLeaf())
+                        pred = pred.children[pred.children.length - 1];
+                    key = node.keys[i] = pred.keys[pred.keys.length - 1];
+                    node.counts[i] = pred.counts[pred.counts.length - 1];
+                    node = left;
+                }
+                else if (right.keys.length >= t) {
+                    // replace the key with its successor, and delete that instead
+                    let succ = right;
+                    while (! succ.isLeaf())
+                        succ = succ.children[0];
+                    key = node.keys[i] = succ.keys[0];
+                    node.counts[i] = succ.counts[0];
+                    node = right;
+                }
+                else {
+                    this._mergeChildren(node, i);
+                    node = left;
+                }
+            }
+            else
+                node = this._refill(node, i);
+        }
+        // the tree shrinks at the root
+        if (this.root.keys.length == 0)
+            this.root = this.root.isLeaf() ? null: this.root.children[0];
+    }
+
+    /** Return the entry of the minimum key, or null if the tree is empty. */
+    min() {
+        let node = this.root;
+        if (node == null)
+            return null;
+        while (! node.isLeaf())
+            node = node.children[0];
+        return this._entry(node, 0);
+    }
+
+    /** Return the entry of the maximum key, or null if the tree is empty. */
+    max() {
+        let node = this.root;
+        if (node == null)
+            return null;
+        while (! node.isLeaf())
+            node = node.children[node.children.length - 1];
+        return this._entry(node, node.keys.length - 1);
+    }
+
+    /**
+     * Find the entry nearest to `key` in the given direction with a single descent from
+     * the root, see `BinarySearchTree._nearest()`.
+     * @param {any} key The key to look for.
+     * @param {boolean} after True for the smallest key after `key`, false for the largest
+     *                        key before `key`.
+     * @param {boolean} inclusive If true, the entry of `key` itself is returned, if any.
+     */
+    _nearest(key, after, inclusive) {
+        let node = this.root;
+        let found = null;
+        while (node != null) {
+            // the keys before `i` come before `key`, the keys from `j` on come after it
+            const i = this._bound(node, key);
+            const j = this._isAt(node, i, key) ? i + 1: i;
+            if (j > i && inclusive)
+                return this._entry(node, i);
+            if (after && j < node.keys.length)
+                found = this._entry(node, j);
+            else if (! after && i > 0)
+                found = this._entry(node, i - 1);
+            // with an exact match, the neighbours are in the subtrees next to the key
+            node = node.isLeaf() ? null: node.children[after ? j: i];
+        }
+        return found;
+    }
+
+    /**
+     * Return the entry of the largest key smaller than `key`, or null if `key` is not in
+     * the tree or it is the minimum, as `BinarySearchTree.predecessor()`.
+     * @param {any} key A key in the tree.
+     */
+    predecessor(key) {
+        return this.search(key) ? this._nearest(key, false, false): null;
+    }
+
+    /**
+     * Return the entry of the smallest key greater than `key`, or null if `key` is not in
+     * the tree or it is the maximum, as `BinarySearchTree.successor()`.
+     * @param {any} key A key in the tree.
+     */
+    successor(key) {
+        return this.search(key) ? this._nearest(key, true, false): null;
+    }
+
+    /** Return the entry of the largest key smaller than or equal to `key`, or null. */
+    floor(key) {
+        return this._nearest(key, false, true);
+    }
+
+    /** Return the entry of the smallest key greater than or equal to `key`, or null. */
+    ceiling(key) {
+        return this._nearest(key, true, true);
+    }
+
+    /** Return the entry of the largest key strictly smaller than `key`, or null. */
+    lower(key) {
+        return this._nearest(key, false, false);
+    }
+
+    /** Return the entry of the smallest key strictly greater than `key`, or null. */
+    higher(key) {
+        return this._nearest(key, true, false);
+    }
+
+    /**
+     * Lazily visit the entries in ascending key order. The stack holds, for each node on
+     * the path to the current key, the index of its next key to visit.
+     * The tree must not be modified during the iteration.
+     *
+     * @param {any} fromKey If provided, the iteration starts at the smallest key greater
+     *                      than or equal to `fromKey`; otherwise from the minimum.
+     */
+    *ascendingEntries(fromKey) {
+        let stack = [];
+        let node = this.root;
+        while (node != null) {
+            const i = fromKey === undefined ? 0: this._bound(node, fromKey);
+            stack.push([node, i]);
+            // the keys of `children[i]` come before `fromKey` if it is in this node
+            node = node.isLeaf() || (fromKey !== undefined && this._isAt(node, i, fromKey)) ?
+                null: node.children[i];
+        }
+        while (stack.length > 0) {
+            let top = stack[stack.length - 1];
+            const [node, i] = top;
+            if (i >= node.keys.length) {
+                stack.pop();
+                continue;
+            }
+            yield this._entry(node, i);
+            top[1] = i + 1;
+            if (! node.isLeaf())
+                for (let child = node.children[i+1]; child != null; child = child.children[0] || null)
+                    stack.push([child, 0]);
+        }
+    }
+
+    /**
+     * Lazily visit the entries in descending key order; the stack holds the number of
+     * keys still to visit in each node.
+     * The tree must not be modified during the iteration.
+     *
+     * @param {any} fromKey If provided, the iteration starts at the largest key smaller
+     *                      than or equal to `fromKey`; otherwise from the maximum.
+     */
+    *descendingEntries(fromKey) {
+        let stack = [];
+        let node = this.root;
+        while (node != null) {
+            const j = fromKey === undefined ? node.keys.length: this._bound(node, fromKey, true);
+            stack.push([node, j]);
+            // the keys of `children[j]` come after `fromKey` if it is in this node
+            node = node.isLeaf() || (fromKey !== undefined && j > 0 && this._isAt(node, j - 1, fromKey)) ?
+                null: node.children[j];
+        }
+        while (stack.length > 0) {
+            let top = stack[stack.length - 1];
+            const [node, j] = top;
+            if (j == 0) {
+                stack.pop();
+                continue;
+            }
+            yield this._entry(node, j - 1);
+            top[1] = j - 1;
+            if (! node.isLeaf())
+                for (let child = node.children[j-1]; child != null;
+                     child = child.isLeaf() ? null: child.children[child.children.length - 1])
+                    stack.push([child, child.keys.length]);
+        }
+    }
+
+    /**
+     * Lazily iterate over the keys in ascending order. In a multiset, each key is
+     * repeated as many times as it occurs.
+     * @param {any} fromKey See `ascendingEntries()`.
+     */
+    *ascending(fromKey) {
+        for (const entry of this.ascendingEntries(fromKey))
+            for (let i = 0; i < entry.count; i++)
+                yield entry.key;
+    }
+
+    /**
+     * Lazily iterate over the keys in descending order. In a multiset, each key is
+     * repeated as many times as it occurs.
+     * @param {any} fromKey See `descendingEntries()`.
+     */
+    *descending(fromKey) {
+        for (const entry of this.descendingEntries(fromKey))
+            for (let i = 0; i < entry.count; i++)
+                yield entry.key;
+    }
+
+    /** A B-tree is iterable: `for...of` and the spread operator visit its keys in order. */
+    [Symbol.iterator]() {
+        return this.ascending();
+    }
+
+    /**
+     * Verify the structure of the tree:
+     * - every node except the root has between t-1 and 2t-1 keys, the root at least 1;
+     * - every internal node has one more child than keys;
+     * - all the leaves are at the same depth;
+     * - the keys are sorted, within each node and across the subtrees;
+     * - the counts are valid, and add up to `size()`.
+     *
+     * Complexity: O(n). Useful for debugging purposes.
+     */
+    checkInvariant() {
+        const t = this.minDegree;
+        let leafDepth = -1;
+        let size = 0;
+        // each entry is a node, its depth, and the bounds of its keys (undefined if unbounded)
+        let stack = this.root ? [[this.root, 0, undefined, undefined]]: [];
+        while (stack.length > 0) {
+            const [node, depth, lo, hi] = stack.pop();
+            const n = node.keys.length;
+            if (n > 2 * t - 1 || n < (node === this.root ? 1: t - 1) || node.counts.length !== n)
+                return false;
+            if (node.isLeaf()) {
+                if (leafDepth < 0)
+                    leafDepth = depth;
+                else if (depth !== leafDepth)
+                    return false;
+            }
+            else if (node.children.length !== n + 1)
+                return false;
+            for (let i = 0; i < n; i++) {
+                const count = node.counts[i];
+                if (! Number.isInteger(count) || count < 1 || (count > 1 && ! this.multiset))
+                    return false;
+                size += count;
+                const prev = i > 0 ? node.keys[i-1]: lo;
+                if (prev !== undefined && this._compare(prev, node.keys[i]) >= 0)
+                    return false;
+            }
+            if (n > 0 && hi !== undefined && this._compare(node.keys[n-1], hi) >= 0)
+                return false;
+            node.children.forEach((child, i) =>
+                stack.push([child, depth + 1, i > 0 ? node.keys[i-1]: lo, i < n ? node.keys[i]: hi]));
+        }
+        return size === this._size;
+    }
+}
+
+// Export these classes as a Nodejs module (and for tests)
+module.exports = {BTreeNode, BTree};
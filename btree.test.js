@@ -0,0 +1,147 @@
+/*
+    B-Tree in Javascript - Test Suite.
+
+    Copyright 2020 Dr. Christian Bruccoleri
+    License: MIT License. See also the LICENSE file included in this distribution.
+ */
+
+const {BTreeNode, BTree} = require('./btree');
+const {BinarySearchTree, AVLTree} = require('./bst');
+const {seedRandom, randint} = require('./testutil');
+
+seedRandom('btree_testing');
+
+test('BTree constructor', () => {
+    const tree = new BTree();
+    expect(tree.minDegree).toBe(16);
+    expect(tree.isEmpty()).toBeTruthy();
+    expect(tree.size()).toBe(0);
+    expect(tree.height()).toBe(-1);
+    expect([tree.min(), tree.max(), tree.search(1)]).toEqual([null, null, null]);
+    expect([...tree]).toEqual([]);
+    expect(tree.checkInvariant()).toBeTruthy();
+    expect(() => new BTree(undefined, {minDegree: 1})).toThrow('minimum degree');
+    expect(() => new BTree(undefined, {minDegree: 2.5})).toThrow('minimum degree');
+    expect(() => new BTree('asc')).toThrow(TypeError);
+});
+
+test('Nodes split and merge', () => {
+    let tree = new BTree(undefined, {minDegree: 2});
+    for (let i = 1; i <= 3; i++)
+        tree.insert(i);
+    expect(tree.root.keys).toEqual([1, 2, 3]);
+    expect(tree.root.isLeaf()).toBeTruthy();
+    // the root is full: it is split before the next key goes in
+    tree.insert(4);
+    expect(tree.root).toBeInstanceOf(BTreeNode);
+    expect(tree.root.keys).toEqual([2]);
+    expect(tree.root.children.map(child => child.keys)).toEqual([[1], [3, 4]]);
+    expect(tree.height()).toBe(1);
+    for (let i = 5; i <= 100; i++)
+        tree.insert(i);
+    expect(tree.checkInvariant()).toBeTruthy();
+    for (let i = 1; i <= 100; i++) {
+        tree.delete(i);
+        expect(tree.size()).toBe(100 - i);
+        if (i % 10 == 0)
+            expect(tree.checkInvariant()).toBeTruthy();
+    }
+    expect(tree.isEmpty()).toBeTruthy();
+});
+
+test('Same behaviour as BinarySearchTree', () => {
+    for (const minDegree of [2, 3, 16]) {
+        let btree = new BTree(undefined, {minDegree: minDegree});
+        let avl = new AVLTree();
+        for (let i = 0; i < 3000; i++) {
+            const key = randint(-1000, 1000);
+            for (const tree of [btree, avl])
+                if (tree.search(key))
+                    tree.delete(key);
+                else
+                    tree.insert(key);
+        }
+        expect([...btree]).toEqual([...avl]);
+        expect([...btree.descending()]).toEqual([...avl.descending()]);
+        expect(btree.size()).toBe(avl.size());
+        expect(btree.checkInvariant()).toBeTruthy();
+        expect(btree.min().key).toBe(avl.min().key);
+        expect(btree.max().key).toBe(avl.max().key);
+        for (let key = -1002; key <= 1002; key += 7) {
+            const keyOf = (result) => result ? result.key: null;
+            expect(keyOf(btree.successor(key))).toBe(keyOf(avl.successor(key)));
+            expect(keyOf(btree.predecessor(key))).toBe(keyOf(avl.predecessor(key)));
+            expect(keyOf(btree.floor(key))).toBe(keyOf(avl.floor(key)));
+            expect(keyOf(btree.ceiling(key))).toBe(keyOf(avl.ceiling(key)));
+            expect(keyOf(btree.lower(key))).toBe(keyOf(avl.lower(key)));
+            expect(keyOf(btree.higher(key))).toBe(keyOf(avl.higher(key)));
+            expect([...btree.ascending(key)]).toEqual([...avl.ascending(key)]);
+            expect([...btree.descending(key)]).toEqual([...avl.descending(key)]);
+        }
+    }
+});
+
+test('Many keys make a shallow tree', () => {
+    let tree = new BTree(undefined, {minDegree: 32});
+    for (let i = 0; i < 100000; i++)
+        tree.insert(i);
+    expect(tree.size()).toBe(100000);
+    expect(tree.height()).toBeLessThanOrEqual(3);
+    expect(tree.checkInvariant()).toBeTruthy();
+    expect(tree.search(54321).key).toBe(54321);
+    expect(tree.search(-1)).toBeNull();
+    expect(() => tree.insert(42)).toThrow('Duplicate key');
+    expect(() => tree.insert('42')).toThrow(TypeError);
+});
+
+test('Multiset and custom comparator', () => {
+    let tree = new BTree((a, b) => b.localeCompare(a), {multiset: true, minDegree: 2});
+    for (const word of ['pear', 'apple', 'fig', 'apple', 'kiwi', 'pear', 'apple', 'plum'])
+        tree.insert(word);
+    expect([...tree]).toEqual(['plum', 'pear', 'pear', 'kiwi', 'fig', 'apple', 'apple', 'apple']);
+    expect(tree.count('apple')).toBe(3);
+    expect(tree.insert('fig').count).toBe(2);
+    tree.delete('apple');
+    tree.delete('pear');
+    tree.delete('pear');
+    tree.delete('banana');
+    expect([...tree]).toEqual(['plum', 'kiwi', 'fig', 'fig', 'apple', 'apple']);
+    expect(tree.size()).toBe(6);
+    expect(tree.checkInvariant()).toBeTruthy();
+    expect(() => new BTree().insert(NaN)).toThrow(TypeError);
+});
+
+test('Violations of the structure are detected', () => {
+    const build = () => {
+        let tree = new BTree(undefined, {minDegree: 2});
+        for (let i = 0; i < 20; i++)
+            tree.insert(i);
+        expect(tree.checkInvariant()).toBeTruthy();
+        return tree;
+    };
+    let tree = build();
+    // unsorted keys
+    let node = tree.root;
+    while (node.keys.length < 2)
+        node = node.children[node.children.length - 1];
+    node.keys.reverse();
+    expect(tree.checkInvariant()).toBeFalsy();
+    // a key out of the bounds of its subtree
+    tree = build();
+    tree.root.children[0].keys[0] = 1000;
+    expect(tree.checkInvariant()).toBeFalsy();
+    // an underfull node
+    tree = build();
+    let leaf = tree.min().node;
+    leaf.keys.pop();
+    leaf.counts.pop();
+    expect(tree.checkInvariant()).toBeFalsy();
+    // leaves at different depths
+    tree = build();
+    tree.root.children[0] = tree.root.children[0].children[0];
+    expect(tree.checkInvariant()).toBeFalsy();
+    // a wrong size
+    tree = build();
+    tree._size += 1;
+    expect(tree.checkInvariant()).toBeFalsy();
+});
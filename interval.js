@@ -0,0 +1,208 @@
+/*
+    Interval Tree in Javascript - Implementation.
+
+    Copyright 2020 Dr. Christian Bruccoleri
+    License: MIT License. See also the LICENSE file included in this distribution.
+ */
+
+const {AVLTree, ValidationReport, defaultCompare} = require('./bst');
+
+
+/**
+ * Interval tree, as described in Cormen et al., "Introduction to Algorithms", Ch. 14.3:
+ * a balanced BST of closed intervals `[lo, hi]`, ordered by their start, where every
+ * node is augmented with the maximum end of the intervals in its subtree (`maxEnd`).
+ * The augmentation is enough to skip every subtree that ends before a query begins.
+ *
+ * The tree is an `AVLTree` whose keys are the intervals, compared by start and then by
+ * end, so that intervals with the same start can be stored together. The same interval
+ * can be stored more than once only in multiset mode. The comparator of the tree
+ * compares the end points, so they can be numbers, strings, etc.; `_compare()` extends
+ * it to intervals.
+ */
+class IntervalTree extends AVLTree {
+    /**
+     * @param {Function} compare Comparator of the end points of the intervals, see
+     *                           `BinarySearchTree`.
+     * @param {Object} options   Optional settings, see `BinarySearchTree`.
+     */
+    constructor(compare=defaultCompare, options={}) {
+        super(compare, options);
+        this._augmentations.push({
+            name: 'maxEnd',
+            empty: null,
+            compute: (node, left, right) => {
+                let maxEnd = node.key[1];
+                for (const end of [left, right])
+                    if (end !== null && this._comparePoints(end, maxEnd) > 0)
+                        maxEnd = end;
+                return maxEnd;
+            },
+        });
+    }
+
+    /**
+     * Compare two intervals, by start and then by end.
+     * @param {Array} a First interval `[lo, hi]`.
+     * @param {Array} b Second interval `[lo, hi]`.
+     */
+    _compare(a, b) {
+        return this._comparePoints(a[0], b[0]) || this._comparePoints(a[1], b[1]);
+    }
+
+    /** Compare two points with the comparator of the tree, validating the result. */
+    _comparePoints(a, b) {
+        return super._compare(a, b);
+    }
+
+    /**
+     * Return a query as a closed interval: a point `p` is the interval `[p, p]`.
+     * @param {any} query A point, or an interval `[lo, hi]` with `lo <= hi`.
+     * @return {Array} A new, frozen interval.
+     */
+    _toInterval(query) {
+        const interval = Array.isArray(query) ? query: [query, query];
+        if (interval.length !== 2)
+            throw new TypeError('An interval must be an array [lo, hi]; got: ' + JSON.stringify(query));
+        if (this._comparePoints(interval[0], interval[1]) > 0)
+            throw new Error(`Invalid interval: its start ${String(interval[0])} is after its end ${String(interval[1])}`);
+        return Object.freeze([interval[0], interval[1]]);
+    }
+
+    /**
+     * Insert the closed interval `[lo, hi]`. A copy of the array is stored, so changing
+     * it afterwards does not corrupt the tree.
+     *
+     * Complexity: O(log n)
+     *
+     * @param {Array} interval The interval `[lo, hi]`, with `lo <= hi`.
+     * @return {AVLNode} The node of the interval.
+     */
+    insertInterval(interval) {
+        if (! Array.isArray(interval))
+            throw new TypeError('An interval must be an array [lo, hi]; got: ' + JSON.stringify(interval));
+        return this.insert(this._toInterval(interval));
+    }
+
+    /**
+     * Delete the interval `[lo, hi]`, i.e. an interval with the same start and end, if
+     * present. In a multiset only one occurrence is removed.
+     *
+     * Complexity: O(log n)
+     *
+     * @param {Array} interval The interval `[lo, hi]` to delete.
+     * @return {boolean} True if the interval was in the tree, false otherwise.
+     */
+    deleteInterval(interval) {
+        const node = this.search(this._toInterval(interval));
+        if (node == null)
+            return false;
+        this.delete(node.key);
+        return true;
+    }
+
+    /**
+     * Return true if and only if the interval of `node` overlaps `[lo, hi]`.
+     * Closed intervals overlap when each one starts before the other ends.
+     */
+    _overlaps(node, lo, hi) {
+        return this._comparePoints(node.key[0], hi) <= 0 && this._comparePoints(lo, node.key[1]) <= 0;
+    }
+
+    /**
+     * Return one of the intervals that overlap a point or an interval, or null if there
+     * is none, e.g. to check whether a time slot is free. A single path is walked down:
+     * if the left subtree ends after the query begins, either it holds an overlapping
+     * interval, or none of the intervals to the right can overlap the query either.
+     *
+     * Complexity: O(log n)
+     *
+     * @param {any} query A point, or an interval `[lo, hi]`.
+     * @return {Array} An interval `[lo, hi]` of the tree, or null.
+     */
+    anyOverlap(query) {
+        const [lo, hi] = this._toInterval(query);
+        let node = this.root;
+        while (node != null && ! this._overlaps(node, lo, hi))
+            if (node.left && this._comparePoints(node.left.maxEnd, lo) >= 0)
+                node = node.left;
+            else
+                node = node.right;
+        return node ? node.key: null;
+    }
+
+    /**
+     * Return all the intervals that overlap a point or an interval, in ascending order.
+     * The subtrees that end before the query begins, and the right subtrees of the nodes
+     * that start after it ends, are skipped. Hence every node visited is either on the
+     * search path of the end of the query, or an ancestor of an interval reported.
+     *
+     * Complexity: O(log n + k log(n/k)), where k is the number of intervals reported:
+     * the union of the paths from the root to k nodes of a balanced tree. That is
+     * O(log n + k) when the intervals reported are close to each other in the tree, or
+     * when they are a large part of it, but not in general: when they are scattered
+     * among intervals that end before the query begins (e.g. long intervals among short
+     * ones), every path to them has to be walked, since the maximum end of a subtree
+     * is the only information to skip it. An O(log n + k) bound in every case needs a
+     * different structure, such as a priority search tree.
+     *
+     * @param {any} query A point, or an interval `[lo, hi]`.
+     * @return {Array} The intervals `[lo, hi]` of the tree, in ascending order. In a
+     *                 multiset, each interval is repeated as many times as it occurs.
+     */
+    overlaps(query) {
+        const [lo, hi] = this._toInterval(query);
+        let result = [];
+        // iterative in-order visit of the subtrees that may hold an overlapping interval
+        const mayOverlap = (node) => node != null && this._comparePoints(node.maxEnd, lo) >= 0;
+        let stack = [];
+        let node = mayOverlap(this.root) ? this.root: null;
+        while (node != null || stack.length > 0) {
+            if (node != null) {
+                stack.push(node);
+                node = mayOverlap(node.left) ? node.left: null;
+                continue;
+            }
+            node = stack.pop();
+            if (this._comparePoints(node.key[0], hi) > 0)
+                // this interval and all the ones after it start after the query ends
+                break;
+            if (this._comparePoints(lo, node.key[1]) <= 0)
+                for (let i = 0; i < node.count; i++)
+                    result.push(node.key);
+            node = mayOverlap(node.right) ? node.right: null;
+        }
+        return result;
+    }
+
+    /**
+     * In addition to the AVL invariant, verify that every key is a valid interval
+     * ('interval') and that the maximum end stored in every node is correct ('maxEnd').
+     */
+    _validateNodes(report, nodes) {
+        super._validateNodes(report, nodes);
+        for (const node of nodes) {
+            try {
+                if (! Array.isArray(node.key) || node.key.length !== 2 ||
+                    this._comparePoints(node.key[0], node.key[1]) > 0) {
+                    report.add(node, 'interval', 'the key is not an interval [lo, hi] with lo <= hi');
+                    continue;
+                }
+                let maxEnd = node.key[1];
+                for (const child of [node.left, node.right])
+                    if (child && this._comparePoints(child.maxEnd, maxEnd) > 0)
+                        maxEnd = child.maxEnd;
+                if (this._comparePoints(node.maxEnd, maxEnd) !== 0)
+                    report.add(node, 'maxEnd', `the maximum end is ${String(node.maxEnd)} instead of ${String(maxEnd)}`);
+            }
+            catch (e) {
+                if (e === ValidationReport.FULL)
+                    throw e;
+                report.add(node, 'compare', e.message);
+            }
+        }
+    }
+}
+
+// Export these classes as a Nodejs module (and for tests)
+module.exports = {IntervalTree};
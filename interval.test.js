@@ -0,0 +1,117 @@
+/*
+    Interval Tree in Javascript - Test Suite.
+
+    Copyright 2020 Dr. Christian Bruccoleri
+    License: MIT License. See also the LICENSE file included in this distribution.
+ */
+
+const {IntervalTree} = require('./interval');
+const {AVLTree} = require('./bst');
+const {seedRandom, randint} = require('./testutil');
+
+seedRandom('interval_testing');
+
+/** Sort intervals by start, then by end. */
+function sortIntervals(intervals) {
+    return [...intervals].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+}
+
+test('IntervalTree is a balanced tree of intervals', () => {
+    let tree = new IntervalTree();
+    expect(tree).toBeInstanceOf(AVLTree);
+    for (const interval of [[15, 20], [10, 30], [17, 19], [5, 20], [12, 15], [30, 40]])
+        tree.insertInterval(interval);
+    expect([...tree]).toEqual([[5, 20], [10, 30], [12, 15], [15, 20], [17, 19], [30, 40]]);
+    expect(tree.root.maxEnd).toBe(40);
+    expect(tree.checkInvariant()).toBeTruthy();
+    // the same start is allowed, the same interval is not
+    tree.insertInterval([15, 16]);
+    expect(() => tree.insertInterval([15, 16])).toThrow('Duplicate key');
+    expect(() => tree.insertInterval([3, 1])).toThrow('Invalid interval');
+    expect(() => tree.insertInterval(3)).toThrow(TypeError);
+    expect(() => tree.insertInterval([1, 2, 3])).toThrow(TypeError);
+    // the stored intervals are copies
+    let interval = [50, 60];
+    tree.insertInterval(interval);
+    interval[0] = 0;
+    expect(tree.max().key).toEqual([50, 60]);
+    expect(tree.checkInvariant()).toBeTruthy();
+});
+
+test('Overlap queries', () => {
+    let tree = new IntervalTree();
+    for (const interval of [[15, 20], [10, 30], [17, 19], [5, 20], [12, 15], [30, 40]])
+        tree.insertInterval(interval);
+    expect(tree.overlaps(16)).toEqual([[5, 20], [10, 30], [15, 20]]);
+    expect(tree.overlaps(30)).toEqual([[10, 30], [30, 40]]);
+    expect(tree.overlaps([21, 29])).toEqual([[10, 30]]);
+    expect(tree.overlaps([0, 4])).toEqual([]);
+    expect(tree.overlaps([41, 50])).toEqual([]);
+    expect(tree.overlaps([0, 100]).length).toBe(6);
+    expect(tree.anyOverlap([21, 25])).toEqual([10, 30]);
+    expect(tree.anyOverlap([41, 45])).toBeNull();
+    expect(tree.anyOverlap(40)).toEqual([30, 40]);
+    expect(() => tree.overlaps([2, 1])).toThrow('Invalid interval');
+    expect(new IntervalTree().overlaps(1)).toEqual([]);
+    expect(new IntervalTree().anyOverlap(1)).toBeNull();
+});
+
+test('Random intervals', () => {
+    let tree = new IntervalTree();
+    let intervals = new Map();
+    for (let i = 0; i < 3000; i++) {
+        const lo = randint(0, 1000);
+        const interval = [lo, lo + randint(0, 50)];
+        const id = interval.join();
+        if (intervals.has(id)) {
+            expect(tree.deleteInterval(interval)).toBeTruthy();
+            intervals.delete(id);
+        }
+        else {
+            tree.insertInterval(interval);
+            intervals.set(id, interval);
+        }
+    }
+    expect(tree.deleteInterval([2000, 2001])).toBeFalsy();
+    expect(tree.size()).toBe(intervals.size);
+    expect(tree.checkInvariant()).toBeTruthy();
+    const all = sortIntervals(intervals.values());
+    for (let q = 0; q < 200; q++) {
+        const lo = randint(-10, 1060);
+        const query = q % 2 ? lo: [lo, lo + randint(0, 30)];
+        const [qlo, qhi] = Array.isArray(query) ? query: [query, query];
+        const expected = all.filter(([a, b]) => a <= qhi && qlo <= b);
+        expect(tree.overlaps(query)).toEqual(expected);
+        const any = tree.anyOverlap(query);
+        if (expected.length == 0)
+            expect(any).toBeNull();
+        else
+            expect(expected).toContainEqual(any);
+    }
+});
+
+test('Sorted insertions keep the tree balanced', () => {
+    let tree = new IntervalTree();
+    for (let i = 0; i < 4096; i++)
+        tree.insertInterval([i, i + 10]);
+    expect(tree.height()).toBeLessThanOrEqual(13);
+    expect(tree.checkInvariant()).toBeTruthy();
+    expect(tree.overlaps(100)).toEqual([...Array(11).keys()].map(i => [90 + i, 100 + i]));
+});
+
+test('Multiset, custom points and broken augmentation', () => {
+    let tree = new IntervalTree((a, b) => a.localeCompare(b), {multiset: true});
+    tree.insertInterval(['09:00', '10:00']);
+    tree.insertInterval(['09:00', '10:00']);
+    tree.insertInterval(['09:30', '11:00']);
+    tree.insertInterval(['13:00', '14:00']);
+    expect(tree.overlaps(['09:45', '09:50'])).toEqual(
+        [['09:00', '10:00'], ['09:00', '10:00'], ['09:30', '11:00']]);
+    expect(tree.anyOverlap(['11:30', '12:30'])).toBeNull();
+    expect(tree.deleteInterval(['09:00', '10:00'])).toBeTruthy();
+    expect(tree.count(['09:00', '10:00'])).toBe(1);
+    expect(tree.root.maxEnd).toBe('14:00');
+    expect(tree.checkInvariant()).toBeTruthy();
+    tree.root.maxEnd = '23:59';
+    expect(tree.checkInvariant()).toBeFalsy();
+});
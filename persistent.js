@@ -0,0 +1,518 @@
+/*
+    Persistent Binary Search Tree in Javascript - Implementation.
+
+    Copyright 2020 Dr. Christian Bruccoleri
+    License: MIT License. See also the LICENSE file included in this distribution.
+ */
+
+const {BinarySearchTree, defaultCompare} = require('./bst');
+
+
+/**
+ * An immutable node of a `PersistentTree`. Unlike `BstNode` it has no `parent` pointer,
+ * because the same node can be shared by many versions of a tree, and in each of them
+ * it may have a different parent. Nodes are frozen once they are created.
+ */
+class PersistentNode {
+    /**
+     * @param {any} key The key of the node.
+     * @param {PersistentNode} left The left subtree, or null.
+     * @param {PersistentNode} right The right subtree, or null.
+     * @param {number} count Number of occurrences of `key`, see `BstNode`.
+     */
+    constructor(key, left=null, right=null, count=1) {
+        this.key = key;
+        this.count = count;
+        this.left = left;
+        this.right = right;
+        // number of keys in the subtree rooted at this node (occurrences included)
+        this.subtreeSize = count + subtreeSize(left) + subtreeSize(right);
+        Object.freeze(this);
+    }
+
+    /** A node is a Leaf if and only if its left and right pointers are both null. */
+    isLeaf() {
+        return this.left == null && this.right == null;
+    }
+}
+
+/**
+ * Return the number of keys in the subtree rooted at `node`, 0 for an empty subtree.
+ * @param {PersistentNode} node A node or `null`.
+ */
+function subtreeSize(node) {
+    return node ? node.subtreeSize: 0;
+}
+
+/**
+ * A persistent (i.e. immutable) Binary Search Tree: `insert()` and `delete()` do not
+ * modify the tree, but return a new version of it. The new version copies only the
+ * nodes on the path from the root to the change, and shares all the other subtrees with
+ * the old version (path copying), so each update costs O(h) time and memory, and any
+ * number of versions can be kept around as snapshots.
+ *
+ * Since nodes are shared, they have no parent pointers: `pred()` and `succ()` search the
+ * neighbours from the root, and the iterators keep the path to the current node in a
+ * stack. Reading an old version is always safe, even while newer versions are created.
+ *
+ * The keys are ordered by a comparator, and multisets are supported, as in
+ * `BinarySearchTree`. Like the latter, the tree is not self-balancing: see
+ * `fromSorted()` to build a balanced tree from many keys at once.
+ */
+class PersistentTree {
+    /**
+     * @param {Function} compare Comparator of the keys, see `BinarySearchTree`.
+     * @param {Object} options Optional settings, see `BinarySearchTree`.
+     * @param {PersistentNode} root Root of the tree; only used to create new versions.
+     */
+    constructor(compare=defaultCompare, {multiset=false}={}, root=null) {
+        if (typeof(compare) !== 'function')
+            throw new TypeError('The comparator must be a function; got: ' + typeof(compare));
+        this.compare = compare;
+        this.multiset = Boolean(multiset);
+        this.root = root;
+        Object.freeze(this);
+    }
+
+    /**
+     * Build a balanced tree from keys already sorted by `compare`, with the same rules
+     * as `BinarySearchTree.fromSorted()`.
+     *
+     * Complexity: O(n)
+     *
+     * @param {Iterable} keys The keys, in ascending order.
+     * @param {Function} compare Comparator of the keys, see `BinarySearchTree`.
+     * @param {Object} options Optional settings, see `BinarySearchTree`.
+     * @return {PersistentTree} A new tree with all the keys.
+     */
+    static fromSorted(keys, compare=defaultCompare, options={}) {
+        return PersistentTree.fromTree(BinarySearchTree.fromSorted(keys, compare, options));
+    }
+
+    /**
+     * Take a snapshot of a (mutable) `BinarySearchTree`, or of any of its subclasses: the
+     * result has the same shape, keys and counts, and does not change when `tree` does.
+     *
+     * Complexity: O(n)
+     *
+     * @param {BinarySearchTree} tree The tree to copy.
+     * @return {PersistentTree} A new tree with the same comparator and mode as `tree`.
+     */
+    static fromTree(tree) {
+        if (! (tree instanceof BinarySearchTree))
+            throw new TypeError('Expected a BinarySearchTree; got: ' + String(tree));
+        // children are copied before their parents
+        let copies = new Map([[null, null]]);
+        for (const node of tree._nodesBottomUp())
+            copies.set(node, new PersistentNode(
+                node.key, copies.get(node.left), copies.get(node.right), node.count));
+        return new PersistentTree(tree.compare, {multiset: tree.multiset}, copies.get(tree.root));
+    }
+
+    /** Return a new version of this tree with the given root. */
+    _withRoot(root) {
+        return new PersistentTree(this.compare, {multiset: this.multiset}, root);
+    }
+
+    /** Compare two keys with the comparator of the tree, see `BinarySearchTree._compare()`. */
+    _compare(a, b) {
+        return BinarySearchTree.prototype._compare.call(this, a, b);
+    }
+
+    /** Return the number of keys in the tree (in a multiset, every occurrence counts). */
+    size() {
+        return subtreeSize(this.root);
+    }
+
+    /** Return true if and only if this is an empty tree. */
+    isEmpty() {
+        return this.root == null;
+    }
+
+    /**
+     * Return the number of occurrences of `key` in the tree: 0 or 1, unless the tree is
+     * a multiset.
+     * @param {any} key The key to count.
+     */
+    count(key) {
+        const node = this.search(key);
+        return node ? node.count: 0;
+    }
+
+    /** Search the key in the tree, if found return the node containing the key, otherwise `null`. */
+    search(key) {
+        let node = this.root;
+        while (node != null) {
+            const cmp = this._compare(key, node.key);
+            if (cmp == 0)
+                break;
+            node = cmp < 0 ? node.left: node.right;
+        }
+        return node;
+    }
+
+    /**
+     * Return the path from the root to the node of `key`, as an array of
+     * `[node, cmp]` pairs where `cmp` is the comparison of `key` with the key of `node`.
+     * If `key` is not in the tree, the path ends at the node where it would be attached.
+     */
+    _path(key) {
+        let path = [];
+        let node = this.root;
+        while (node != null) {
+            const cmp = this._compare(key, node.key);
+            path.push([node, cmp]);
+            if (cmp == 0)
+                break;
+            node = cmp < 0 ? node.left: node.right;
+        }
+        return path;
+    }
+
+    /**
+     * Copy the nodes of `path` bottom-up, replacing the child of the last one on the path
+     * with `node`, and return the root of the copy.
+     * @param {Array} path The path, see `_path()`, without the node being replaced.
+     * @param {PersistentNode} node The new subtree at the end of the path (may be null).
+     */
+    _copyPath(path, node) {
+        for (let i = path.length - 1; i >= 0; i--) {
+            const [parent, cmp] = path[i];
+            node = cmp < 0 ?
+                new PersistentNode(parent.key, node, parent.right, parent.count):
+                new PersistentNode(parent.key, parent.left, node, parent.count);
+        }
+        return node;
+    }
+
+    /**
+     * Return a new version of the tree that also contains `key`. This tree is not
+     * modified. As in `BinarySearchTree.insert()`, inserting a key already in the tree
+     * is an error, unless the tree is a multiset.
+     *
+     * Complexity: O(h) time and memory.
+     *
+     * @param {any} key The key to insert.
+     * @return {PersistentTree} The new version of the tree.
+     */
+    insert(key) {
+        // an empty tree does not compare anything, but the key must still be valid
+        if (this.root == null)
+            this._compare(key, key);
+        let path = this._path(key);
+        let node = null;
+        if (path.length > 0 && path[path.length - 1][1] == 0) {
+            const [found] = path.pop();
+            if (! this.multiset)
+                throw new Error('Duplicate key: ' + JSON.stringify(key));
+            node = new PersistentNode(found.key, found.left, found.right, found.count + 1);
+        }
+        else
+            node = new PersistentNode(key);
+        return this._withRoot(this._copyPath(path, node));
+    }
+
+    /**
+     * Return a new version of the tree without `key`; in a multiset, only one occurrence
+     * of `key` is removed. If `key` is not in the tree, this same tree is returned.
+     *
+     * Complexity: O(h) time and memory.
+     *
+     * @param {any} key The key to delete.
+     * @return {PersistentTree} The new version of the tree.
+     */
+    delete(key) {
+        let path = this._path(key);
+        if (path.length == 0 || path[path.length - 1][1] != 0)
+            return this;
+        const [node] = path.pop();
+        let replacement = null;
+        if (node.count > 1)
+            replacement = new PersistentNode(node.key, node.left, node.right, node.count - 1);
+        else if (node.left == null)
+            replacement = node.right;
+        else if (node.right == null)
+            replacement = node.left;
+        else {
+            // the successor takes the place of the node, and is removed from the right subtree
+            let succPath = [];
+            let succ = node.right;
+            while (succ.left != null) {
+                succPath.push([succ, -1]);
+                succ = succ.left;
+            }
+            const right = this._copyPath(succPath, succ.right);
+            replacement = new PersistentNode(succ.key, node.left, right, succ.count);
+        }
+        return this._withRoot(this._copyPath(path, replacement));
+    }
+
+    /** Return the node with the minimum key of the subtree of `node` (the whole tree by default). */
+    min(node=this.root) {
+        while (node != null && node.left != null)
+            node = node.left;
+        return node;
+    }
+
+    /** Return the node with the maximum key of the subtree of `node` (the whole tree by default). */
+    max(node=this.root) {
+        while (node != null && node.right != null)
+            node = node.right;
+        return node;
+    }
+
+    /**
+     * Find the node nearest to `key` in the given direction, see
+     * `BinarySearchTree._nearest()`.
+     * @param {any} key The key to look for.
+     * @param {boolean} after True for the smallest key after `key`, false for the largest
+     *                        key before `key`.
+     * @param {boolean} inclusive If true, the node of `key` itself is returned, if any.
+     */
+    _nearest(key, after, inclusive) {
+        let node = this.root;
+        let found = null;
+        while (node != null) {
+            const cmp = this._compare(key, node.key);
+            if (cmp == 0 && inclusive)
+                return node;
+            else if (after ? cmp < 0: cmp > 0) {
+                // a candidate, but there may be a closer one
+                found = node;
+                node = after ? node.left: node.right;
+            }
+            else
+                node = after ? node.right: node.left;
+        }
+        return found;
+    }
+
+    /**
+     * Return the node that comes before `node` in key order, or null if there is none.
+     * Without parent pointers, it is found with a search from the root.
+     *
+     * Complexity: O(h)
+     *
+     * @param {PersistentNode} node A node of this tree.
+     */
+    pred(node) {
+        return node == null ? null: this._nearest(node.key, false, false);
+    }
+
+    /**
+     * Return the node that comes after `node` in key order, or null if there is none.
+     * Without parent pointers, it is found with a search from the root.
+     *
+     * Complexity: O(h)
+     *
+     * @param {PersistentNode} node A node of this tree.
+     */
+    succ(node) {
+        return node == null ? null: this._nearest(node.key, true, false);
+    }
+
+    /**
+     * Return the node before `key`, or null if `key` is not in the tree or it is the
+     * minimum, as `BinarySearchTree.predecessor()`.
+     * @param {any} key A key in the tree.
+     */
+    predecessor(key) {
+        return this.pred(this.search(key));
+    }
+
+    /**
+     * Return the node after `key`, or null if `key` is not in the tree or it is the
+     * maximum, as `BinarySearchTree.successor()`.
+     * @param {any} key A key in the tree.
+     */
+    successor(key) {
+        return this.succ(this.search(key));
+    }
+
+    /** Return the node with the largest key smaller than or equal to `key`, or null. */
+    floor(key) {
+        return this._nearest(key, false, true);
+    }
+
+    /** Return the node with the smallest key greater than or equal to `key`, or null. */
+    ceiling(key) {
+        return this._nearest(key, true, true);
+    }
+
+    /** Return the node with the largest key strictly smaller than `key`, or null. */
+    lower(key) {
+        return this._nearest(key, false, false);
+    }
+
+    /** Return the node with the smallest key strictly greater than `key`, or null. */
+    higher(key) {
+        return this._nearest(key, true, false);
+    }
+
+    /**
+     * Lazily visit the nodes in key order. The stack holds the ancestors of the current
+     * node that are still to be visited, so O(h) extra memory is used.
+     * @param {any} fromKey If provided, the first node is the nearest to `fromKey` in the
+     *                      direction of the visit, `fromKey` included.
+     * @param {boolean} ascending The direction of the visit.
+     */
+    *_walk(fromKey, ascending) {
+        const [first, second] = ascending ? ['left', 'right']: ['right', 'left'];
+        let stack = [];
+        let node = this.root;
+        // the path to the first node: keep only the nodes that come after it
+        while (node != null) {
+            const cmp = fromKey === undefined ? null: this._compare(fromKey, node.key);
+            if (cmp == 0) {
+                stack.push(node);
+                break;
+            }
+            else if (cmp === null || (ascending ? cmp < 0: cmp > 0)) {
+                stack.push(node);
+                node = node[first];
+            }
+            else
+                node = node[second];
+        }
+        while (stack.length > 0) {
+            node = stack.pop();
+            yield node;
+            for (node = node[second]; node != null; node = node[first])
+                stack.push(node);
+        }
+    }
+
+    /**
+     * Lazily visit the nodes in ascending key order.
+     * @param {any} fromKey If provided, the iteration starts at the smallest key greater
+     *                      than or equal to `fromKey`; otherwise from the minimum.
+     */
+    ascendingNodes(fromKey) {
+        return this._walk(fromKey, true);
+    }
+
+    /**
+     * Lazily visit the nodes in descending key order.
+     * @param {any} fromKey If provided, the iteration starts at the largest key smaller
+     *                      than or equal to `fromKey`; otherwise from the maximum.
+     */
+    descendingNodes(fromKey) {
+        return this._walk(fromKey, false);
+    }
+
+    /**
+     * Lazily iterate over the keys in ascending order. In a multiset, each key is
+     * repeated as many times as it occurs.
+     * @param {any} fromKey See `ascendingNodes()`.
+     */
+    *ascending(fromKey) {
+        for (const node of this.ascendingNodes(fromKey))
+            for (let i = 0; i < node.count; i++)
+                yield node.key;
+    }
+
+    /**
+     * Lazily iterate over the keys in descending order. In a multiset, each key is
+     * repeated as many times as it occurs.
+     * @param {any} fromKey See `descendingNodes()`.
+     */
+    *descending(fromKey) {
+        for (const node of this.descendingNodes(fromKey))
+            for (let i = 0; i < node.count; i++)
+                yield node.key;
+    }
+
+    /** A persistent tree is iterable: `for...of` and the spread operator visit its keys in order. */
+    [Symbol.iterator]() {
+        return this.ascending();
+    }
+
+    /**
+     * Throw an error unless `other` is a `PersistentTree` whose keys are ordered like the
+     * keys of this tree, see `BinarySearchTree._checkCompatible()`.
+     * @param {PersistentTree} other The other tree.
+     */
+    _checkCompatible(other) {
+        if (! (other instanceof PersistentTree))
+            throw new TypeError('Expected a PersistentTree; got: ' + String(other));
+        if (other.compare !== this.compare)
+            throw new Error('The trees have incompatible orderings: their comparators differ');
+    }
+
+    /**
+     * Return true if and only if `other` has the same shape, keys and counts as this
+     * tree. The subtrees shared by the two trees are equal without being visited, so
+     * comparing two versions of the same tree only costs as much as the nodes that differ
+     * between them, e.g. O(h) after a single insertion; O(1) for the same version.
+     *
+     * @param {PersistentTree} other Another version of the tree.
+     */
+    structurallyEquals(other) {
+        this._checkCompatible(other);
+        let stack = [[this.root, other.root]];
+        while (stack.length > 0) {
+            const [a, b] = stack.pop();
+            if (a === b)
+                // the same subtree, or both empty
+                continue;
+            if (a == null || b == null || a.count !== b.count || a.subtreeSize !== b.subtreeSize ||
+                this._compare(a.key, b.key) != 0)
+                return false;
+            stack.push([a.left, b.left], [a.right, b.right]);
+        }
+        return true;
+    }
+
+    /**
+     * Return true if and only if `other` contains the same keys as this tree (with the
+     * same counts in a multiset), whatever their shape. Same versions and trees of
+     * different sizes are told apart without visiting the keys.
+     *
+     * Complexity: O(1) for the same version or different sizes; O(n) otherwise.
+     *
+     * @param {PersistentTree} other Another tree with the same comparator.
+     */
+    equals(other) {
+        this._checkCompatible(other);
+        if (this.root === other.root)
+            return true;
+        if (this.size() !== other.size())
+            return false;
+        const otherNodes = other.ascendingNodes();
+        for (const node of this.ascendingNodes()) {
+            const otherNode = otherNodes.next().value;
+            if (node.count !== otherNode.count || this._compare(node.key, otherNode.key) != 0)
+                return false;
+        }
+        return true;
+    }
+
+    /**
+     * Verify the BST invariant, the counts and the size of every subtree, as
+     * `BinarySearchTree.checkInvariant()` does. Useful for debugging purposes.
+     *
+     * Complexity: O(n)
+     */
+    checkInvariant() {
+        // each entry is a node, and the bounds of its keys (null if unbounded)
+        let stack = this.root ? [[this.root, null, null]]: [];
+        while (stack.length > 0) {
+            const [node, lo, hi] = stack.pop();
+            if (! (node instanceof PersistentNode) || ! Object.isFrozen(node))
+                return false;
+            if (! Number.isInteger(node.count) || node.count < 1 || (node.count > 1 && ! this.multiset))
+                return false;
+            if ((lo != null && this._compare(node.key, lo.key) <= 0) ||
+                (hi != null && this._compare(node.key, hi.key) >= 0))
+                return false;
+            if (node.subtreeSize !== node.count + subtreeSize(node.left) + subtreeSize(node.right))
+                return false;
+            if (node.left) stack.push([node.left, lo, node]);
+            if (node.right) stack.push([node.right, node, hi]);
+        }
+        return true;
+    }
+}
+
+// Export these classes as a Nodejs module (and for tests)
+module.exports = {PersistentNode, PersistentTree};
@@ -0,0 +1,162 @@
+/*
+    Persistent Binary Search Tree in Javascript - Test Suite.
+
+    Copyright 2020 Dr. Christian Bruccoleri
+    License: MIT License. See also the LICENSE file included in this distribution.
+ */
+
+const {PersistentNode, PersistentTree} = require('./persistent');
+const {BinarySearchTree, AVLTree} = require('./bst');
+const {seedRandom, randint} = require('./testutil');
+
+seedRandom('persistent_testing');
+
+/** Return all the nodes of a tree, in any order. */
+function allNodes(tree) {
+    let nodes = [];
+    let stack = tree.root ? [tree.root]: [];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        nodes.push(node);
+        if (node.left) stack.push(node.left);
+        if (node.right) stack.push(node.right);
+    }
+    return nodes;
+}
+
+test('PersistentNode is immutable', () => {
+    const node = new PersistentNode(5, new PersistentNode(3), null, 2);
+    expect(node.subtreeSize).toBe(3);
+    expect(node.parent).toBeUndefined();
+    expect(Object.isFrozen(node)).toBeTruthy();
+    expect(() => { 'use strict'; node.key = 6; }).toThrow(TypeError);
+});
+
+test('insert() and delete() return new versions', () => {
+    const empty = new PersistentTree();
+    const v1 = empty.insert(50).insert(30).insert(70);
+    const v2 = v1.insert(20);
+    const v3 = v2.delete(50);
+    expect(empty.isEmpty()).toBeTruthy();
+    expect([...v1]).toEqual([30, 50, 70]);
+    expect([...v2]).toEqual([20, 30, 50, 70]);
+    expect([...v3]).toEqual([20, 30, 70]);
+    expect([v1.size(), v2.size(), v3.size()]).toEqual([3, 4, 3]);
+    // only the path to the change is copied
+    expect(v2.root.right).toBe(v1.root.right);
+    expect(v2.root).not.toBe(v1.root);
+    expect(v3.root.left).toBe(v2.root.left);
+    // deleting a missing key returns the same version
+    expect(v3.delete(1000)).toBe(v3);
+    expect(() => v3.insert(30)).toThrow('Duplicate key');
+    expect(() => empty.insert(NaN)).toThrow(TypeError);
+    expect(() => { 'use strict'; v3.root = null; }).toThrow(TypeError);
+});
+
+test('Random versions stay readable', () => {
+    let versions = [new PersistentTree()];
+    let contents = [[]];
+    for (let i = 0; i < 400; i++) {
+        const last = versions[versions.length - 1];
+        const keys = contents[contents.length - 1];
+        const key = randint(0, 200);
+        if (keys.includes(key)) {
+            versions.push(last.delete(key));
+            contents.push(keys.filter(k => k != key));
+        }
+        else {
+            versions.push(last.insert(key));
+            contents.push([...keys, key].sort((a, b) => a - b));
+        }
+    }
+    versions.forEach((version, i) => {
+        expect([...version]).toEqual(contents[i]);
+        expect([...version.descending()]).toEqual([...contents[i]].reverse());
+        expect(version.size()).toBe(contents[i].length);
+        expect(version.checkInvariant()).toBeTruthy();
+    });
+    // the nodes are shared between versions
+    const last = versions[versions.length - 1];
+    const previous = new Set(allNodes(versions[versions.length - 2]));
+    const fresh = allNodes(last).filter(node => ! previous.has(node));
+    expect(fresh.length).toBeLessThan(last.size());
+});
+
+test('Navigation without parent pointers', () => {
+    let tree = PersistentTree.fromSorted([10, 20, 30, 40, 50, 60, 70]);
+    expect(tree.checkInvariant()).toBeTruthy();
+    expect(tree.succ(tree.search(40)).key).toBe(50);
+    expect(tree.pred(tree.search(40)).key).toBe(30);
+    expect(tree.successor(30).key).toBe(40);
+    expect(tree.predecessor(10)).toBeNull();
+    expect(tree.successor(70)).toBeNull();
+    expect(tree.successor(35)).toBeNull();
+    expect([tree.floor(35).key, tree.ceiling(35).key]).toEqual([30, 40]);
+    expect([tree.lower(30).key, tree.higher(30).key]).toEqual([20, 40]);
+    expect([tree.min().key, tree.max().key]).toEqual([10, 70]);
+    expect([...tree.ascending(35)]).toEqual([40, 50, 60, 70]);
+    expect([...tree.descending(35)]).toEqual([30, 20, 10]);
+    expect([...tree.ascending(40)]).toEqual([40, 50, 60, 70]);
+    expect([...tree.descending(5)]).toEqual([]);
+    // the walk uses a stack, so deep trees are fine
+    let deep = new PersistentTree();
+    for (let i = 0; i < 3000; i++)
+        deep = deep.insert(i);
+    expect([...deep].length).toBe(3000);
+    expect(deep.succ(deep.search(1234)).key).toBe(1235);
+});
+
+test('Multiset versions', () => {
+    const v1 = PersistentTree.fromSorted([1, 2, 2, 3], undefined, {multiset: true});
+    const v2 = v1.insert(2);
+    const v3 = v2.delete(2).delete(2);
+    expect([...v1]).toEqual([1, 2, 2, 3]);
+    expect(v2.count(2)).toBe(3);
+    expect([...v3]).toEqual([1, 2, 3]);
+    expect(v3.size()).toBe(3);
+    expect(v3.checkInvariant()).toBeTruthy();
+});
+
+test('Snapshots of mutable trees', () => {
+    let avl = new AVLTree();
+    for (let i = 0; i < 100; i++)
+        avl.insert(i);
+    const snapshot = PersistentTree.fromTree(avl);
+    avl.delete(50);
+    expect(snapshot.size()).toBe(100);
+    expect(snapshot.search(50)).not.toBeNull();
+    expect(snapshot.checkInvariant()).toBeTruthy();
+    expect(() => PersistentTree.fromTree([1, 2])).toThrow(TypeError);
+});
+
+test('Equality of versions', () => {
+    const v1 = PersistentTree.fromSorted([1, 2, 3, 4, 5, 6, 7]);
+    const v2 = v1.insert(8);
+    const v3 = v2.delete(8);
+    expect(v1.structurallyEquals(v1)).toBeTruthy();
+    expect(v1.structurallyEquals(v2)).toBeFalsy();
+    // a different version, but the same shape and keys
+    expect(v3).not.toBe(v1);
+    expect(v1.structurallyEquals(v3)).toBeTruthy();
+    expect(v1.equals(v3)).toBeTruthy();
+    // same keys, different shape
+    let chain = new PersistentTree();
+    for (let i = 1; i <= 7; i++)
+        chain = chain.insert(i);
+    expect(chain.structurallyEquals(v1)).toBeFalsy();
+    expect(chain.equals(v1)).toBeTruthy();
+    expect(chain.equals(v2)).toBeFalsy();
+    expect(chain.delete(7).insert(9).equals(v1)).toBeFalsy();
+    expect(() => v1.equals(BinarySearchTree.fromSorted([1]))).toThrow(TypeError);
+    expect(() => v1.equals(new PersistentTree((a, b) => b - a))).toThrow('incompatible orderings');
+});
+
+test('Violations of the invariant are detected', () => {
+    const bad = new PersistentTree(undefined, {}, new PersistentNode(5, new PersistentNode(6)));
+    expect(bad.checkInvariant()).toBeFalsy();
+    const deep = new PersistentTree(undefined, {},
+        new PersistentNode(5, new PersistentNode(3, null, new PersistentNode(7))));
+    expect(deep.checkInvariant()).toBeFalsy();
+    const counts = new PersistentTree(undefined, {}, new PersistentNode(5, null, null, 2));
+    expect(counts.checkInvariant()).toBeFalsy();
+});
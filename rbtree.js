@@ -0,0 +1,411 @@
+/*
+    Red-Black Tree in Javascript - Implementation.
+
+    Copyright 2020 Dr. Christian Bruccoleri
+    License: MIT License. See also the LICENSE file included in this distribution.
+ */
+
+const {BstNode, BinarySearchTree, defaultCompare} = require('./bst');
+
+
+/**
+ * An helper object to define constants for the colour of a Red-Black tree node.
+ */
+const Color = { RED: 'red', BLACK: 'black' };
+
+/**
+ * Return the colour of `node`. Missing children (`null`) are black leaves.
+ * @param {RBNode} node A node or `null`.
+ */
+function colorOf(node) {
+    return node ? node.color: Color.BLACK;
+}
+
+
+/**
+ * A node of a `RedBlackTree`. New nodes are red: inserting a red node never changes the
+ * black-height of the tree, and a red-red edge is easier to fix.
+ */
+class RBNode extends BstNode {
+    constructor(key) {
+        super(key);
+        this.color = Color.RED;
+    }
+
+    /** Return true if and only if this node is red. */
+    isRed() {
+        return this.color === Color.RED;
+    }
+}
+
+
+/**
+ * Red-Black tree, as described in Cormen et al., "Introduction to Algorithms", Ch. 13.
+ * It maintains the following invariants:
+ * 1. every node is either red or black;
+ * 2. the root is black;
+ * 3. the (null) leaves are black;
+ * 4. both children of a red node are black;
+ * 5. all the paths from a node to the leaves below it contain the same number of
+ *    black nodes (the black-height of the node).
+ *
+ * The height of the tree is at most 2 log2(n+1). Compared to an `AVLTree` the tree is
+ * less strictly balanced, but insertions and deletions need at most 2 and 3 rotations
+ * respectively.
+ */
+class RedBlackTree extends BinarySearchTree {
+    /**
+     * @param {Function} compare Comparator of the keys, see `BinarySearchTree`.
+     * @param {Object} options   Optional settings, see `BinarySearchTree`.
+     */
+    constructor(compare=defaultCompare, options={}) {
+        super(compare, options);
+    }
+
+    _createNode(key) {
+        return new RBNode(key);
+    }
+
+    /**
+     * Restore the red-black properties after the red node `node` has been inserted.
+     * Only a red-red edge between `node` and its parent may need fixing: the violation
+     * is either moved up the tree by recolouring, or removed by at most 2 rotations.
+     *
+     * Complexity: O(log n)
+     *
+     * @param {RBNode} node The node just inserted.
+     */
+    _afterInsert(node) {
+        while (colorOf(node.parent) === Color.RED) {
+            let parent = node.parent;
+            // the parent is red, hence it is not the root and the grandparent exists
+            let grandParent = parent.parent;
+            if (parent === grandParent.left) {
+                let uncle = grandParent.right;
+                if (colorOf(uncle) === Color.RED) {
+                    // case 1: recolour and move the violation up
+                    parent.color = Color.BLACK;
+                    uncle.color = Color.BLACK;
+                    grandParent.color = Color.RED;
+                    node = grandParent;
+                }
+                else {
+                    if (node === parent.right) {
+                        // case 2: reduce to case 3
+                        node = parent;
+                        this.rotateLeft(node);
+                        parent = node.parent;
+                    }
+                    // case 3
+                    parent.color = Color.BLACK;
+                    grandParent.color = Color.RED;
+                    this.rotateRight(grandParent);
+                }
+            }
+            else { // symmetric, with left and right exchanged
+                let uncle = grandParent.left;
+                if (colorOf(uncle) === Color.RED) {
+                    parent.color = Color.BLACK;
+                    uncle.color = Color.BLACK;
+                    grandParent.color = Color.RED;
+                    node = grandParent;
+                }
+                else {
+                    if (node === parent.left) {
+                        node = parent;
+                        this.rotateRight(node);
+                        parent = node.parent;
+                    }
+                    parent.color = Color.BLACK;
+                    grandParent.color = Color.RED;
+                    this.rotateLeft(grandParent);
+                }
+            }
+        }
+        this.root.color = Color.BLACK;
+    }
+
+    /**
+     * Colour a tree of minimum height, as built by `fromSorted()` or `rebalance()`.
+     * All of its leaves are on the last two levels, so colouring red the nodes of the
+     * last level (unless it is the root) leaves the same number of black nodes on every
+     * path, without any red-red edge.
+     */
+    _afterRebuild() {
+        let level = this.root ? [this.root]: [];
+        let depth = 0;
+        while (level.length > 0) {
+            let next = [];
+            for (const node of level) {
+                node.color = Color.BLACK;
+                if (node.left) next.push(node.left);
+                if (node.right) next.push(node.right);
+            }
+            if (next.length == 0 && depth > 0)
+                for (const node of level)
+                    node.color = Color.RED;
+            level = next;
+            depth += 1;
+        }
+    }
+
+    /** Save the colours of the nodes as a string of 'r' and 'b', one for each node. */
+    _shapeToJSON(data, nodes) {
+        data.colors = nodes.map(node => node.color === Color.RED ? 'r': 'b').join('');
+    }
+
+    _shapeFromJSON(data, nodes) {
+        if (typeof(data.colors) !== 'string' || ! /^[rb]*$/.test(data.colors) ||
+            data.colors.length !== nodes.length)
+            throw new Error('Invalid tree JSON: `colors` must have an "r" or "b" for each node');
+        nodes.forEach((node, i) => node.color = data.colors[i] === 'r' ? Color.RED: Color.BLACK);
+    }
+
+    /**
+     * Remove `node` from the tree and restore the red-black properties.
+     *
+     * Complexity: O(log n)
+     *
+     * @param {RBNode} node A node of this tree.
+     */
+    del(node) {
+        if (! node)
+            return;
+        // `removedColor` is the colour that disappears from its position in the tree;
+        // `child` is the node that takes that position and `parent` its parent, which
+        // is needed because `child` may be null
+        let removedColor = node.color;
+        let child = null;
+        let parent = null;
+        if (node.left == null) {
+            child = node.right;
+            parent = node.parent;
+            this._transplant(node.right, node);
+        }
+        else if (node.right == null) {
+            child = node.left;
+            parent = node.parent;
+            this._transplant(node.left, node);
+        }
+        else {
+            let succ = this.min(node.right);
+            removedColor = succ.color;
+            child = succ.right;
+            if (succ.parent === node)
+                parent = succ;
+            else {
+                parent = succ.parent;
+                this._transplant(succ.right, succ);
+                succ.right = node.right;
+                succ.right.parent = succ;
+            }
+            this._transplant(succ, node);
+            succ.left = node.left;
+            succ.left.parent = succ;
+            succ.color = node.color;
+        }
+        this._size -= node.count;
+        // `parent` is the deepest node whose subtree has lost a node
+        this._updatePath(parent);
+        if (removedColor === Color.BLACK)
+            this._deleteFixup(child, parent);
+    }
+
+    /**
+     * Restore the black-height after a black node has been removed above `node`.
+     * `node` carries an "extra black" that is pushed up the tree until it can be
+     * absorbed by a red node, or removed by rotations.
+     *
+     * @param {RBNode} node The node that replaced the removed one (may be null).
+     * @param {RBNode} parent The parent of `node`.
+     */
+    _deleteFixup(node, parent) {
+        while (node !== this.root && colorOf(node) === Color.BLACK) {
+            if (node === parent.left) {
+                // the sibling exists, because its subtree has a black-height >= 1
+                let sibling = parent.right;
+                if (colorOf(sibling) === Color.RED) {
+                    // case 1: make the sibling black
+                    sibling.color = Color.BLACK;
+                    parent.color = Color.RED;
+                    this.rotateLeft(parent);
+                    sibling = parent.right;
+                }
+                if (colorOf(sibling.left) === Color.BLACK && colorOf(sibling.right) === Color.BLACK) {
+                    // case 2: move the extra black up
+                    sibling.color = Color.RED;
+                    node = parent;
+                    parent = node.parent;
+                }
+                else {
+                    if (colorOf(sibling.right) === Color.BLACK) {
+                        // case 3: reduce to case 4
+                        sibling.left.color = Color.BLACK;
+                        sibling.color = Color.RED;
+                        this.rotateRight(sibling);
+                        sibling = parent.right;
+                    }
+                    // case 4: the extra black is absorbed
+                    sibling.color = parent.color;
+                    parent.color = Color.BLACK;
+                    sibling.right.color = Color.BLACK;
+                    this.rotateLeft(parent);
+                    node = this.root;
+                    parent = null;
+                }
+            }
+            else { // symmetric, with left and right exchanged
+                let sibling = parent.left;
+                if (colorOf(sibling) === Color.RED) {
+                    sibling.color = Color.BLACK;
+                    parent.color = Color.RED;
+                    this.rotateRight(parent);
+                    sibling = parent.left;
+                }
+                if (colorOf(sibling.left) === Color.BLACK && colorOf(sibling.right) === Color.BLACK) {
+                    sibling.color = Color.RED;
+                    node = parent;
+                    parent = node.parent;
+                }
+                else {
+                    if (colorOf(sibling.left) === Color.BLACK) {
+                        sibling.right.color = Color.BLACK;
+                        sibling.color = Color.RED;
+                        this.rotateLeft(sibling);
+                        sibling = parent.left;
+                    }
+                    sibling.color = parent.color;
+                    parent.color = Color.BLACK;
+                    sibling.left.color = Color.BLACK;
+                    this.rotateRight(parent);
+                    node = this.root;
+                    parent = null;
+                }
+            }
+        }
+        if (node)
+            node.color = Color.BLACK;
+    }
+
+    /**
+     * The root of a red-black tree must be black: a subtree with a red root is a valid
+     * tree once its root is made black.
+     */
+    _treeFromRoot(root) {
+        if (root)
+            root.color = Color.BLACK;
+        return super._treeFromRoot(root);
+    }
+
+    /**
+     * Join the red-black subtrees `left` and `right` with `mid`, see
+     * `BinarySearchTree._join3()`. After making both roots black, if their black-heights
+     * differ, `mid` is made red and attached along the spine of the taller tree, at the
+     * first black node with the same black-height as the other tree. This keeps the
+     * black-heights equal, and a red-red edge is fixed as after an insertion.
+     * 
+     * Complexity: O(log n)
+     */
+    _join3(left, mid, right) {
+        // number of black nodes on the paths from `node` to the leaves, `node` included
+        const blackHeightOf = (node) => {
+            let height = 0;
+            for (; node != null; node = node.left)
+                if (node.color === Color.BLACK)
+                    height += 1;
+            return height;
+        };
+        if (left)
+            left.color = Color.BLACK;
+        if (right)
+            right.color = Color.BLACK;
+        const leftHeight = blackHeightOf(left);
+        const rightHeight = blackHeightOf(right);
+        if (leftHeight == rightHeight) {
+            super._join3(left, mid, right);
+            mid.color = Color.BLACK;
+            return;
+        }
+        let parent = null;
+        if (leftHeight > rightHeight) {
+            this.root = left;
+            let node = left;
+            let height = leftHeight;
+            while (node != null && (height > rightHeight || node.color === Color.RED)) {
+                if (node.color === Color.BLACK)
+                    height -= 1;
+                parent = node;
+                node = node.right;
+            }
+            parent.right = mid;
+            mid.left = node;
+            mid.right = right;
+        }
+        else {
+            this.root = right;
+            let node = right;
+            let height = rightHeight;
+            while (node != null && (height > leftHeight || node.color === Color.RED)) {
+                if (node.color === Color.BLACK)
+                    height -= 1;
+                parent = node;
+                node = node.left;
+            }
+            parent.left = mid;
+            mid.left = left;
+            mid.right = node;
+        }
+        mid.parent = parent;
+        if (mid.left)
+            mid.left.parent = mid;
+        if (mid.right)
+            mid.right.parent = mid;
+        mid.color = Color.RED;
+        this._updatePath(mid);
+        this._afterInsert(mid);
+    }
+
+    /**
+     * Number of black nodes on any path from the root to a (null) leaf, the root
+     * excluded. Returns 0 for an empty tree.
+     */
+    blackHeight() {
+        let height = 0;
+        for (let node = this.root; node != null; node = node.left)
+            if (node !== this.root && node.color === Color.BLACK)
+                height += 1;
+        return height;
+    }
+
+    /**
+     * In addition to the BST invariant, verify the red-black properties: every node is
+     * red or black ('color'), the root is black ('root'), a red node has no red children
+     * ('redRed'), and every path from a node to the leaves has the same number of black
+     * nodes ('blackHeight').
+     */
+    _validateNodes(report, nodes) {
+        super._validateNodes(report, nodes);
+        if (colorOf(this.root) !== Color.BLACK)
+            report.add(this.root, 'root', 'the root is not black');
+        // black-height of each subtree, counting the nodes below the subtree root
+        let blackHeights = new Map();
+        const blackHeightOf = (node) => node ?
+            blackHeights.get(node) + (node.color === Color.BLACK ? 1: 0): 0;
+        for (const node of nodes) {
+            if (node.color !== Color.RED && node.color !== Color.BLACK)
+                report.add(node, 'color', `invalid color: ${String(node.color)}`);
+            if (node.color === Color.RED &&
+                (colorOf(node.left) === Color.RED || colorOf(node.right) === Color.RED))
+                report.add(node, 'redRed', 'a red node has a red child');
+            const leftHeight = blackHeightOf(node.left);
+            const rightHeight = blackHeightOf(node.right);
+            if (leftHeight !== rightHeight)
+                report.add(node, 'blackHeight',
+                    `the black-heights of the subtrees are ${leftHeight} (left) and ${rightHeight} (right)`);
+            blackHeights.set(node, Math.max(leftHeight, rightHeight));
+        }
+    }
+}
+
+// Export these classes as a Nodejs module (and for tests)
+module.exports = {RBNode, RedBlackTree, Color};
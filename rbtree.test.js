@@ -0,0 +1,213 @@
+/*
+    Red-Black Tree in Javascript - Test Suite.
+
+    Copyright 2020 Dr. Christian Bruccoleri
+    License: MIT License. See also the LICENSE file included in this distribution.
+ */
+
+const {RBNode, RedBlackTree, Color} = require('./rbtree');
+const {BinarySearchTree} = require('./bst');
+const {seedRandom, randint} = require('./testutil');
+
+seedRandom('rb_testing');
+
+test('RBNode constructor', () => {
+    const node = new RBNode(1);
+    expect(node.isRed()).toBeTruthy();
+    expect(node.color).toBe(Color.RED);
+});
+
+test('RedBlackTree is a BinarySearchTree', () => {
+    const tree = new RedBlackTree();
+    expect(tree).toBeInstanceOf(BinarySearchTree);
+    expect(tree.isEmpty()).toBeTruthy();
+    expect(tree.checkInvariant()).toBeTruthy();
+    tree.insert(1);
+    expect(tree.root).toBeInstanceOf(RBNode);
+    expect(tree.root.color).toBe(Color.BLACK);
+});
+
+test('Sorted insertions', () => {
+    const tree = new RedBlackTree();
+    const n = 1023;
+    for (let i = 0; i < n; i++) {
+        tree.insert(i);
+        expect(tree.checkInvariant()).toBeTruthy();
+    }
+    expect(tree.size()).toBe(n);
+    // the longest path is at most twice the shortest one
+    let height = 0;
+    for (const node of tree.inOrderKeys()) {
+        let depth = 0;
+        for (let p = node; p.parent; p = p.parent)
+            depth += 1;
+        height = Math.max(height, depth);
+    }
+    expect(height).toBeLessThanOrEqual(2 * Math.log2(n + 1));
+    expect(tree.blackHeight()).toBeGreaterThan(0);
+    expect(tree.successor(10).key).toBe(11);
+    expect(tree.predecessor(10).key).toBe(9);
+    expect(() => tree.insert(10)).toThrow(Error);
+});
+
+test('Random insertions and deletions', () => {
+    const tree = new RedBlackTree((a, b) => b - a);
+    let keys = new Set();
+    for (let i = 0; i < 500; i++) {
+        const k = randint(-1000, 1000);
+        if (! keys.has(k)) {
+            tree.insert(k);
+            keys.add(k);
+        }
+    }
+    expect(tree.checkInvariant()).toBeTruthy();
+    let sorted = [...keys].sort((a, b) => b - a);
+    expect(tree.inOrderKeys().map(node => node.key)).toEqual(sorted);
+    let remaining = [...keys];
+    while (remaining.length > 0) {
+        const i = randint(0, remaining.length - 1);
+        tree.delete(remaining[i]);
+        remaining.splice(i, 1);
+        expect(tree.size()).toBe(remaining.length);
+        expect(tree.checkInvariant()).toBeTruthy();
+    }
+    expect(tree.isEmpty()).toBeTruthy();
+    // deleting a missing key does nothing
+    tree.delete(42);
+    expect(tree.size()).toBe(0);
+});
+
+test('Violations of the red-black properties are detected', () => {
+    const tree = new RedBlackTree();
+    [10, 5, 15, 1].forEach(k => tree.insert(k));
+    expect(tree.checkInvariant()).toBeTruthy();
+    // red root
+    tree.root.color = Color.RED;
+    expect(tree.checkInvariant()).toBeFalsy();
+    tree.root.color = Color.BLACK;
+    // red-red edge: 1 is red and child of 5
+    const five = tree.search(5);
+    expect(tree.search(1).color).toBe(Color.RED);
+    five.color = Color.RED;
+    expect(tree.checkInvariant()).toBeFalsy();
+    // unequal black-heights
+    five.color = Color.BLACK;
+    tree.search(15).color = Color.RED;
+    expect(tree.checkInvariant()).toBeFalsy();
+    expect(tree.validate().violations.map(v => [v.rule, v.key])).toEqual([['blackHeight', 10]]);
+    tree.search(15).color = 'blue';
+    expect(tree.validate().violations.map(v => [v.rule, v.key])).toEqual([['color', 15], ['blackHeight', 10]]);
+});
+
+test('Multiset', () => {
+    const tree = new RedBlackTree(undefined, {multiset: true});
+    for (let i = 0; i < 300; i++)
+        tree.insert(i % 50);
+    expect(tree.size()).toBe(300);
+    expect(tree.count(7)).toBe(6);
+    expect(tree.checkInvariant()).toBeTruthy();
+    for (let i = 0; i < 50; i += 2)
+        tree.del(tree.search(i));
+    expect(tree.size()).toBe(150);
+    expect(tree.count(8)).toBe(0);
+    tree.delete(9);
+    expect(tree.count(9)).toBe(5);
+    expect(tree.size()).toBe(149);
+    expect(tree.checkInvariant()).toBeTruthy();
+});
+
+test('Order statistics', () => {
+    const tree = new RedBlackTree();
+    let keys = [];
+    for (let i = 0; i < 300; i++) {
+        const k = randint(0, 10000);
+        if (! tree.search(k)) {
+            tree.insert(k);
+            keys.push(k);
+        }
+    }
+    keys.sort((a, b) => a - b);
+    expect(tree.checkInvariant()).toBeTruthy();
+    keys.forEach((key, i) => {
+        expect(tree.rank(key)).toBe(i);
+        expect(tree.select(i).key).toBe(key);
+    });
+    for (let i = 0; i < keys.length; i += 2)
+        tree.delete(keys[i]);
+    keys = keys.filter((key, i) => i % 2);
+    expect(tree.checkInvariant()).toBeTruthy();
+    keys.forEach((key, i) => expect(tree.select(i).key).toBe(key));
+});
+
+test('fromSorted() and rebalance()', () => {
+    for (const n of [0, 1, 2, 3, 4, 7, 8, 9, 100]) {
+        const keys = Array.from({length: n}, (_, i) => i);
+        const tree = RedBlackTree.fromSorted(keys);
+        expect(tree).toBeInstanceOf(RedBlackTree);
+        expect([...tree]).toEqual(keys);
+        expect(tree.checkInvariant()).toBeTruthy();
+        // still a working red-black tree
+        tree.insert(n);
+        tree.delete(0);
+        expect(tree.checkInvariant()).toBeTruthy();
+    }
+    const tree = new RedBlackTree();
+    for (let i = 0; i < 200; i++)
+        if (! tree.search(i * 7 % 200))
+            tree.insert(i * 7 % 200);
+    tree.rebalance();
+    expect(tree.size()).toBe(200);
+    expect(tree.checkInvariant()).toBeTruthy();
+    expect(tree.blackHeight()).toBe(6);
+});
+
+test('JSON', () => {
+    const tree = new RedBlackTree();
+    for (let i = 0; i < 50; i++)
+        tree.insert(i);
+    const data = tree.toJSON({mode: 'shape'});
+    expect(data.colors.length).toBe(50);
+    const copy = RedBlackTree.fromJSON(JSON.stringify(data));
+    expect(copy.preOrderKeys()).toEqual(tree.preOrderKeys());
+    expect(copy.inOrderKeys().map(node => node.color)).toEqual(tree.inOrderKeys().map(node => node.color));
+    expect(copy.checkInvariant()).toBeTruthy();
+    // colours are required, and must be valid
+    expect(() => RedBlackTree.fromJSON({...data, colors: undefined})).toThrow('`colors`');
+    expect(() => RedBlackTree.fromJSON({...data, colors: 'r'.repeat(50)})).toThrow('valid RedBlackTree');
+    // keys mode rebuilds a valid red-black tree
+    expect(RedBlackTree.fromJSON(JSON.stringify(tree)).checkInvariant()).toBeTruthy();
+});
+
+test('split() and join()', () => {
+    let tree = new RedBlackTree();
+    let keys = new Set();
+    while (keys.size < 500)
+        keys.add(randint(0, 5000));
+    for (const key of keys)
+        tree.insert(key);
+    const sorted = [...tree];
+    for (const index of [0, 1, 77, 250, 498, 499]) {
+        let {left, middle, right} = tree.split(sorted[index]);
+        expect(middle.key).toBe(sorted[index]);
+        expect(left.size()).toBe(index);
+        expect(right.size()).toBe(499 - index);
+        expect(left.checkInvariant() && right.checkInvariant()).toBeTruthy();
+        tree = RedBlackTree.join(left, right);
+        expect(tree.size()).toBe(499);
+        expect(tree.checkInvariant()).toBeTruthy();
+        tree.insert(sorted[index]);
+    }
+    expect([...tree]).toEqual(sorted);
+    // trees of very different black-heights
+    let small = RedBlackTree.fromSorted([-3, -2, -1]);
+    tree = RedBlackTree.join(small, tree);
+    expect(tree.size()).toBe(503);
+    expect(tree.checkInvariant()).toBeTruthy();
+    tree = RedBlackTree.join(tree, RedBlackTree.fromSorted([10000]));
+    expect(tree.max().key).toBe(10000);
+    expect(tree.checkInvariant()).toBeTruthy();
+    // deleteRange() splits and joins
+    expect(tree.deleteRange(sorted[10], sorted[400], {hiInclusive: true})).toBe(391);
+    expect(tree.size()).toBe(113);
+    expect(tree.checkInvariant()).toBeTruthy();
+});
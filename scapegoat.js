@@ -0,0 +1,251 @@
+/*
+    Scapegoat Tree in Javascript - Implementation.
+
+    Copyright 2020 Dr. Christian Bruccoleri
+    License: MIT License. See also the LICENSE file included in this distribution.
+ */
+
+const {BinarySearchTree, defaultCompare} = require('./bst');
+
+
+/**
+ * Return the number of nodes in the subtree rooted at `node`, without recursion.
+ * Unlike `node.subtreeSize`, the occurrences of the keys of a multiset are not counted.
+ * @param {BstNode} node A node or `null`.
+ */
+function countNodes(node) {
+    let count = 0;
+    let stack = node ? [node]: [];
+    while (stack.length > 0) {
+        const top = stack.pop();
+        count += 1;
+        if (top.left) stack.push(top.left);
+        if (top.right) stack.push(top.right);
+    }
+    return count;
+}
+
+/**
+ * Return the height of the subtree rooted at `node` (-1 if empty), without recursion.
+ * @param {BstNode} node A node or `null`.
+ */
+function heightOf(node) {
+    let height = -1;
+    let stack = node ? [[node, 0]]: [];
+    while (stack.length > 0) {
+        const [top, depth] = stack.pop();
+        height = Math.max(height, depth);
+        if (top.left) stack.push([top.left, depth + 1]);
+        if (top.right) stack.push([top.right, depth + 1]);
+    }
+    return height;
+}
+
+
+/**
+ * Scapegoat tree, as described by Galperin and Rivest ("Scapegoat Trees", SODA 1993).
+ * The nodes are plain `BstNode`s: there is no balance information to maintain, and the
+ * tree is only rebalanced, now and then, by rebuilding a whole subtree.
+ *
+ * The balance is controlled by a parameter α in [0.5, 1): the depth of every node is at
+ * most log_{1/α}(n). When an insertion creates a deeper node, one of its ancestors,
+ * the scapegoat, is unbalanced: one of its subtrees has more than α times its nodes.
+ * The subtree of the scapegoat is then rebuilt perfectly balanced. When deletions
+ * shrink the tree below α times its size at the last full rebuild, the whole tree is
+ * rebuilt. Both operations take O(log n) amortized time. A smaller α gives a shallower
+ * tree, but more frequent rebuilds.
+ *
+ * `rebuildCount` and `rebuiltNodeCount` count the rebuilds and the nodes they moved,
+ * which helps to tune α.
+ */
+class ScapegoatTree extends BinarySearchTree {
+    /**
+     * @param {Function} compare Comparator of the keys, see `BinarySearchTree`.
+     * @param {Object} options   Optional settings, see `BinarySearchTree`, plus
+     *                           `alpha`: the balance parameter, in [0.5, 1) (default 0.7).
+     */
+    constructor(compare=defaultCompare, options={}) {
+        super(compare, options);
+        const {alpha=0.7} = options;
+        if (typeof(alpha) !== 'number' || ! (alpha >= 0.5 && alpha < 1))
+            throw new Error('alpha must be a number in [0.5, 1); got: ' + String(alpha));
+        this.alpha = alpha;
+        // number of nodes (not of keys, in a multiset), and its maximum since the last
+        // rebuild of the whole tree
+        this._nodeCount = 0;
+        this._maxNodeCount = 0;
+        // number of rebuilds, and total number of nodes in the rebuilt subtrees
+        this.rebuildCount = 0;
+        this.rebuiltNodeCount = 0;
+    }
+
+    _options() {
+        return {...super._options(), alpha: this.alpha};
+    }
+
+    /** Set the rebuild counters back to 0. */
+    resetCounters() {
+        this.rebuildCount = 0;
+        this.rebuiltNodeCount = 0;
+    }
+
+    /**
+     * The maximum depth allowed in a tree of `n` nodes: floor(log_{1/α}(n)).
+     * @param {number} n Number of nodes.
+     */
+    _maxDepth(n) {
+        return n <= 1 ? 0: Math.floor(Math.log(n) / Math.log(1 / this.alpha));
+    }
+
+    /**
+     * Rebuild the subtree rooted at `node` perfectly balanced, in its place. The nodes
+     * are relinked, not copied, and the size of the subtree does not change, so its
+     * ancestors need no update.
+     *
+     * Complexity: O(k) where k is the number of nodes of the subtree.
+     *
+     * @param {BstNode} node Root of the subtree to rebuild.
+     * @return {BstNode} The new root of the subtree.
+     */
+    _rebuild(node) {
+        const parent = node.parent;
+        const isLeft = parent != null && parent.left === node;
+        // the nodes of the subtree, in order
+        let nodes = [];
+        let stack = [];
+        for (let current = node; current != null || stack.length > 0; ) {
+            if (current != null) {
+                stack.push(current);
+                current = current.left;
+            }
+            else {
+                current = stack.pop();
+                nodes.push(current);
+                current = current.right;
+            }
+        }
+        // the recursion depth is O(log k)
+        const build = (lo, hi) => {
+            if (lo >= hi)
+                return null;
+            const mid = (lo + hi) >>> 1;
+            const root = nodes[mid];
+            root.left = build(lo, mid);
+            root.right = build(mid + 1, hi);
+            if (root.left)
+                root.left.parent = root;
+            if (root.right)
+                root.right.parent = root;
+            this._updateNode(root);
+            return root;
+        };
+        const root = build(0, nodes.length);
+        root.parent = parent;
+        if (parent == null)
+            this.root = root;
+        else if (isLeft)
+            parent.left = root;
+        else
+            parent.right = root;
+        this.rebuildCount += 1;
+        this.rebuiltNodeCount += nodes.length;
+        return root;
+    }
+
+    /**
+     * If the new node is too deep, find the scapegoat among its ancestors and rebuild
+     * its subtree. The sizes are computed walking up from the new node, counting the
+     * nodes of the sibling subtree at each step, so the nodes need no size in number of
+     * nodes; the cost is amortized by the rebuild.
+     */
+    _afterInsert(node) {
+        this._nodeCount += 1;
+        this._maxNodeCount = Math.max(this._maxNodeCount, this._nodeCount);
+        let depth = 0;
+        for (let p = node.parent; p != null; p = p.parent)
+            depth += 1;
+        if (depth <= this._maxDepth(this._nodeCount))
+            return;
+        let child = node;
+        let childCount = 1;
+        while (child.parent != null) {
+            const parent = child.parent;
+            const sibling = parent.left === child ? parent.right: parent.left;
+            const parentCount = childCount + countNodes(sibling) + 1;
+            if (childCount > this.alpha * parentCount) {
+                this._rebuild(parent);
+                return;
+            }
+            child = parent;
+            childCount = parentCount;
+        }
+    }
+
+    /** Rebuild the whole tree once enough nodes have been deleted. */
+    _afterDelete(node) {
+        this._nodeCount -= 1;
+        if (this._nodeCount < this.alpha * this._maxNodeCount) {
+            if (this.root)
+                this._rebuild(this.root);
+            this._maxNodeCount = this._nodeCount;
+        }
+    }
+
+    /** A tree rebuilt by `fromSorted()` or `rebalance()` starts a new cycle of deletions. */
+    _afterRebuild() {
+        this._nodeCount = this._maxNodeCount = countNodes(this.root);
+    }
+
+    /** Save α, since a shape that is valid with α may be too deep for another one. */
+    _shapeToJSON(data, nodes) {
+        data.alpha = this.alpha;
+    }
+
+    _shapeFromJSON(data, nodes) {
+        if (data.alpha !== undefined) {
+            if (typeof(data.alpha) !== 'number' || ! (data.alpha >= 0.5 && data.alpha < 1))
+                throw new Error('Invalid tree JSON: `alpha` must be a number in [0.5, 1)');
+            this.alpha = data.alpha;
+        }
+        this._nodeCount = this._maxNodeCount = nodes.length;
+    }
+
+    _takeNodes(tree) {
+        super._takeNodes(tree);
+        this._nodeCount = tree._nodeCount;
+        this._maxNodeCount = tree._maxNodeCount;
+        tree._nodeCount = tree._maxNodeCount = 0;
+    }
+
+    /**
+     * The pieces made by `split()` and `join()` are rebuilt if they are too deep.
+     *
+     * Complexity: O(n)
+     */
+    _treeFromRoot(root) {
+        const tree = super._treeFromRoot(root);
+        tree._nodeCount = tree._maxNodeCount = countNodes(root);
+        if (heightOf(root) > tree._maxDepth(tree._nodeCount))
+            tree._rebuild(root);
+        return tree;
+    }
+
+    /**
+     * In addition to the BST invariant, verify that the number of nodes is up to date
+     * ('nodeCount'), and that the height of the tree is within the bound of α ('height').
+     */
+    _validateNodes(report, nodes) {
+        super._validateNodes(report, nodes);
+        const count = nodes.length;
+        if (count !== this._nodeCount || count > this._maxNodeCount)
+            report.add(null, 'nodeCount', `the tree has ${count} nodes, but the node count is ` +
+                `${this._nodeCount} and the maximum node count ${this._maxNodeCount}`);
+        const height = heightOf(this.root);
+        const maxDepth = this._maxDepth(this._maxNodeCount);
+        if (height > maxDepth)
+            report.add(null, 'height', `the height is ${height}, more than ${maxDepth}`);
+    }
+}
+
+// Export these classes as a Nodejs module (and for tests)
+module.exports = {ScapegoatTree};
@@ -0,0 +1,134 @@
+/*
+    Scapegoat Tree in Javascript - Test Suite.
+
+    Copyright 2020 Dr. Christian Bruccoleri
+    License: MIT License. See also the LICENSE file included in this distribution.
+ */
+
+const {ScapegoatTree} = require('./scapegoat');
+const {BstNode, BinarySearchTree} = require('./bst');
+const {seedRandom, randint, checkParents} = require('./testutil');
+
+seedRandom('scapegoat_testing');
+
+test('ScapegoatTree is a BinarySearchTree with plain nodes', () => {
+    const tree = new ScapegoatTree();
+    expect(tree).toBeInstanceOf(BinarySearchTree);
+    expect(tree.alpha).toBe(0.7);
+    expect(Object.getPrototypeOf(tree.insert(1))).toBe(BstNode.prototype);
+    expect(new ScapegoatTree(undefined, {alpha: 0.5}).alpha).toBe(0.5);
+    expect(() => new ScapegoatTree(undefined, {alpha: 1})).toThrow('alpha');
+    expect(() => new ScapegoatTree(undefined, {alpha: 0.4})).toThrow('alpha');
+    expect(() => new ScapegoatTree(undefined, {alpha: '0.7'})).toThrow('alpha');
+});
+
+test('Sorted insertions trigger rebuilds', () => {
+    for (const alpha of [0.5, 0.6, 0.75, 0.9]) {
+        let tree = new ScapegoatTree(undefined, {alpha: alpha});
+        for (let i = 0; i < 2000; i++)
+            tree.insert(i);
+        expect(tree.size()).toBe(2000);
+        expect(tree.checkInvariant()).toBeTruthy();
+        expect(checkParents(tree)).toBeTruthy();
+        expect(tree.rebuildCount).toBeGreaterThan(0);
+        expect(tree.rebuiltNodeCount).toBeGreaterThanOrEqual(tree.rebuildCount);
+        expect([...tree.ascending(1995)]).toEqual([1995, 1996, 1997, 1998, 1999]);
+    }
+    // a smaller alpha means a shallower tree, but more work
+    let strict = new ScapegoatTree(undefined, {alpha: 0.55});
+    let loose = new ScapegoatTree(undefined, {alpha: 0.9});
+    for (let i = 0; i < 2000; i++) {
+        strict.insert(i);
+        loose.insert(i);
+    }
+    expect(strict.rebuiltNodeCount).toBeGreaterThan(loose.rebuiltNodeCount);
+    strict.resetCounters();
+    expect([strict.rebuildCount, strict.rebuiltNodeCount]).toEqual([0, 0]);
+});
+
+test('Enough deletions rebuild the whole tree', () => {
+    let tree = new ScapegoatTree(undefined, {alpha: 0.75});
+    for (let i = 0; i < 100; i++)
+        tree.insert(randint(0, 1000) * 100 + i);
+    tree.resetCounters();
+    const keys = [...tree];
+    // 25 deletions out of 100 nodes are not enough
+    for (const key of keys.slice(0, 25))
+        tree.delete(key);
+    expect(tree.rebuildCount).toBe(0);
+    tree.delete(keys[25]);
+    expect(tree.rebuildCount).toBe(1);
+    expect(tree.rebuiltNodeCount).toBe(74);
+    expect(tree.checkInvariant()).toBeTruthy();
+    expect([...tree]).toEqual(keys.slice(26));
+});
+
+test('Random insertions and deletions', () => {
+    let tree = new ScapegoatTree();
+    let keys = new Set();
+    for (let i = 0; i < 4000; i++) {
+        const key = randint(-1000, 1000);
+        if (keys.has(key)) {
+            tree.delete(key);
+            keys.delete(key);
+        }
+        else {
+            tree.insert(key);
+            keys.add(key);
+        }
+        if (i % 500 == 0)
+            expect(tree.checkInvariant()).toBeTruthy();
+    }
+    expect([...tree]).toEqual([...keys].sort((a, b) => a - b));
+    expect(tree.checkInvariant()).toBeTruthy();
+    expect(checkParents(tree)).toBeTruthy();
+});
+
+test('Multiset, rebuilds and split()', () => {
+    let tree = new ScapegoatTree(undefined, {multiset: true, alpha: 0.6});
+    for (let i = 0; i < 300; i++)
+        tree.insert(i % 100);
+    expect(tree.size()).toBe(300);
+    expect(tree.count(42)).toBe(3);
+    expect(tree.checkInvariant()).toBeTruthy();
+    const {left, middle, right} = tree.split(50);
+    expect(middle.count).toBe(3);
+    expect([left.size(), right.size()]).toEqual([150, 147]);
+    expect(left.alpha).toBe(0.6);
+    expect(left.checkInvariant() && right.checkInvariant()).toBeTruthy();
+    const joined = ScapegoatTree.join(left, right);
+    expect(joined.size()).toBe(297);
+    expect(joined.checkInvariant()).toBeTruthy();
+    // deleteRange() keeps the node counts up to date
+    expect(joined.deleteRange(10, 90)).toBe(237);
+    expect(joined.size()).toBe(60);
+    expect(joined.checkInvariant()).toBeTruthy();
+    joined.insert(50);
+    expect(joined.checkInvariant()).toBeTruthy();
+    // rebuilt trees start a new cycle
+    const built = ScapegoatTree.fromSorted([1, 2, 3, 4, 5]);
+    expect(built.checkInvariant()).toBeTruthy();
+    const copy = ScapegoatTree.fromJSON(built.toJSON({mode: 'shape'}));
+    expect(copy.checkInvariant()).toBeTruthy();
+    copy.insert(6);
+    expect(copy.checkInvariant()).toBeTruthy();
+});
+
+test('Trees deeper than the bound are invalid', () => {
+    const chain = BinarySearchTree.fromSorted([1]);
+    for (let i = 2; i <= 10; i++)
+        chain.insert(i);
+    expect(() => ScapegoatTree.fromJSON(chain.toJSON({mode: 'shape'}))).toThrow('valid ScapegoatTree');
+    // α is saved with the shape, which may be too deep for the default α
+    let loose = new ScapegoatTree(undefined, {alpha: 0.95});
+    for (let i = 0; i < 200; i++)
+        loose.insert(i);
+    const json = loose.toJSON({mode: 'shape'});
+    expect(json.alpha).toBe(0.95);
+    expect(() => ScapegoatTree.fromJSON({...json, alpha: undefined})).toThrow('valid ScapegoatTree');
+    const copy = ScapegoatTree.fromJSON(JSON.stringify(json));
+    expect(copy.alpha).toBe(0.95);
+    expect(copy.preOrderKeys()).toEqual(loose.preOrderKeys());
+    expect(copy.checkInvariant()).toBeTruthy();
+    expect(() => ScapegoatTree.fromJSON({...json, alpha: 0.4})).toThrow('`alpha`');
+});
@@ -0,0 +1,195 @@
+/*
+    Splay Tree in Javascript - Implementation.
+
+    Copyright 2020 Dr. Christian Bruccoleri
+    License: MIT License. See also the LICENSE file included in this distribution.
+ */
+
+const {BinarySearchTree, defaultCompare} = require('./bst');
+
+
+/**
+ * Splay tree, as described by Sleator and Tarjan ("Self-Adjusting Binary Search Trees",
+ * J. ACM, 1985). Every access moves the accessed node to the root with a sequence of
+ * rotations (splaying), so the keys used most often stay near the top of the tree.
+ * There is no balance information in the nodes: plain `BstNode`s are used.
+ *
+ * A single operation may take O(n) time, but any sequence of m operations takes
+ * O(m log n) time, and much less when the accesses are skewed towards a few keys.
+ *
+ * `search()`, `insert()` and `delete()` splay the node they access; when the key is not
+ * found, the last node visited is splayed instead. The other queries (e.g. `min()`,
+ * `floor()` or the iterators) do not change the shape of the tree.
+ */
+class SplayTree extends BinarySearchTree {
+    /**
+     * @param {Function} compare Comparator of the keys, see `BinarySearchTree`.
+     * @param {Object} options   Optional settings, see `BinarySearchTree`, plus
+     *                           `splayOnRead`: if false, `search()` does not splay, so
+     *                           that the shape of the tree only depends on the updates
+     *                           (default true).
+     */
+    constructor(compare=defaultCompare, options={}) {
+        super(compare, options);
+        const {splayOnRead=true} = options;
+        this.splayOnRead = Boolean(splayOnRead);
+    }
+
+    _options() {
+        return {...super._options(), splayOnRead: this.splayOnRead};
+    }
+
+    /**
+     * Move `node` to the root with a sequence of rotations. At each step, depending on
+     * the positions of `node`, its parent `p` and its grandparent `g`:
+     * - zig: `p` is the root; rotate `p`;
+     * - zig-zig: `node` and `p` are both left (or both right) children; rotate `g`
+     *   first, then `p`;
+     * - zig-zag: `node` is a left child and `p` a right child, or vice versa; rotate `p`,
+     *   then `g`, in opposite directions.
+     * The sizes of the subtrees are kept up to date by the rotations.
+     *
+     * Complexity: O(depth of `node`)
+     *
+     * @param {BstNode} node A node of this tree (nothing happens if null).
+     */
+    _splay(node) {
+        if (node == null)
+            return;
+        while (node.parent != null) {
+            const parent = node.parent;
+            const grandparent = parent.parent;
+            const isLeft = parent.left === node;
+            if (grandparent == null) {
+                // zig
+                if (isLeft)
+                    this.rotateRight(parent);
+                else
+                    this.rotateLeft(parent);
+            }
+            else if (isLeft === (grandparent.left === parent)) {
+                // zig-zig
+                if (isLeft) {
+                    this.rotateRight(grandparent);
+                    this.rotateRight(parent);
+                }
+                else {
+                    this.rotateLeft(grandparent);
+                    this.rotateLeft(parent);
+                }
+            }
+            else {
+                // zig-zag
+                if (isLeft) {
+                    this.rotateRight(parent);
+                    this.rotateLeft(grandparent);
+                }
+                else {
+                    this.rotateLeft(parent);
+                    this.rotateRight(grandparent);
+                }
+            }
+        }
+    }
+
+    /**
+     * Search `key` and splay the node found or, if `key` is not in the tree, the last
+     * node visited.
+     * @param {any} key The key to look for.
+     * @return {BstNode} The node of `key`, now the root, or null.
+     */
+    _access(key) {
+        let node = this.root;
+        let last = null;
+        while (node != null) {
+            last = node;
+            const cmp = this._compare(key, node.key);
+            if (cmp == 0)
+                break;
+            node = cmp < 0 ? node.left: node.right;
+        }
+        this._splay(last);
+        return node;
+    }
+
+    /**
+     * Search the key in the tree, if found return the node containing the key, otherwise
+     * `null`. Unless the `splayOnRead` option is false, the node found (or the last node
+     * visited) is splayed to the root.
+     *
+     * Complexity: O(log n) amortized.
+     *
+     * @param {any} key The key to look for.
+     */
+    search(key) {
+        return this.splayOnRead ? this._access(key): super.search(key);
+    }
+
+    /** Splay a new node to the root, whether `insert()` or `insertRec()` added it. */
+    _afterInsert(node) {
+        this._splay(node);
+    }
+
+    /**
+     * Insert `key` as in `BinarySearchTree.insert()`, then splay its node to the root.
+     * A new node is splayed by `_afterInsert()`; the node of a multiset duplicate is
+     * splayed here, since no node is added for it.
+     *
+     * Complexity: O(log n) amortized.
+     *
+     * @param {any} key The key to be inserted.
+     * @return {BstNode} The node containing `key`, which is the new root.
+     */
+    insert(key) {
+        const node = super.insert(key);
+        this._splay(node);
+        return node;
+    }
+
+    /**
+     * Insert `key` as in `BinarySearchTree.insertRec()`, then splay its node to the
+     * root, as `insert()` does.
+     *
+     * Complexity: O(log n) amortized.
+     *
+     * @param {any} key The key to be inserted.
+     * @return {BstNode} The node containing `key`, which is the new root.
+     */
+    insertRec(key) {
+        const node = super.insertRec(key);
+        this._splay(node);
+        return node;
+    }
+
+    /**
+     * Delete `key` from the tree, if present (in a multiset, only one occurrence). The
+     * node of `key` is splayed to the root before it is removed, then the node that
+     * takes its place is splayed, see `_afterDelete()`. If `key` is not in the tree, the
+     * last node visited is splayed.
+     *
+     * Complexity: O(log n) amortized.
+     *
+     * @param {any} key The key to delete.
+     */
+    delete(key) {
+        const node = this._access(key);
+        if (node && node.count > 1) {
+            node.count -= 1;
+            this._size -= 1;
+            this._updatePath(node);
+        }
+        else
+            this.del(node);
+    }
+
+    /**
+     * After a node is removed, splay the deepest node whose subtree has changed, i.e.
+     * the parent of the node that has been spliced out.
+     */
+    _afterDelete(node) {
+        this._splay(node);
+    }
+}
+
+// Export these classes as a Nodejs module (and for tests)
+module.exports = {SplayTree};
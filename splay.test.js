@@ -0,0 +1,151 @@
+/*
+    Splay Tree in Javascript - Test Suite.
+
+    Copyright 2020 Dr. Christian Bruccoleri
+    License: MIT License. See also the LICENSE file included in this distribution.
+ */
+
+const {SplayTree} = require('./splay');
+const {BinarySearchTree} = require('./bst');
+const {seedRandom, randint, checkParents} = require('./testutil');
+
+seedRandom('splay_testing');
+
+/** Return the shape of a subtree as a string, e.g. "2(1,3)" or "1(,2)". */
+function shape(node) {
+    if (node == null)
+        return '';
+    if (node.isLeaf())
+        return String(node.key);
+    return `${node.key}(${shape(node.left)},${shape(node.right)})`;
+}
+
+test('SplayTree is a BinarySearchTree', () => {
+    const tree = new SplayTree();
+    expect(tree).toBeInstanceOf(BinarySearchTree);
+    expect(tree.splayOnRead).toBeTruthy();
+    expect(new SplayTree(undefined, {splayOnRead: false}).splayOnRead).toBeFalsy();
+});
+
+test('Accessed nodes are splayed to the root', () => {
+    let tree = new SplayTree();
+    for (const key of [50, 30, 70, 20, 40, 60, 80])
+        expect(tree.insert(key)).toBe(tree.root);
+    // the last inserted key is at the root
+    expect(tree.root.key).toBe(80);
+    expect(tree.search(40)).toBe(tree.root);
+    expect(tree.root.key).toBe(40);
+    // a missing key splays the last node visited
+    expect(tree.search(65)).toBeNull();
+    expect([60, 70]).toContain(tree.root.key);
+    tree.delete(50);
+    expect(tree.search(50)).toBeNull();
+    expect([...tree]).toEqual([20, 30, 40, 60, 70, 80]);
+    expect(tree.checkInvariant()).toBeTruthy();
+    expect(checkParents(tree)).toBeTruthy();
+});
+
+test('insertRec() splays like insert()', () => {
+    let tree = new SplayTree(undefined, {multiset: true});
+    for (const key of [5, 3, 8])
+        expect(tree.insertRec(key)).toBe(tree.root);
+    expect(tree.root.key).toBe(8);
+    // a multiset duplicate is splayed too
+    expect(tree.insertRec(3)).toBe(tree.root);
+    expect(tree.root.key).toBe(3);
+    expect(tree.count(3)).toBe(2);
+    expect(tree.preOrderKeys()).toEqual([3, 3, 5, 8]);
+    expect(tree.checkInvariant()).toBeTruthy();
+    expect(checkParents(tree)).toBeTruthy();
+});
+
+test('Zig, zig-zig and zig-zag', () => {
+    let tree = new SplayTree();
+    // each key is inserted to the right of the root, then a zig makes it the root
+    for (const key of [1, 2, 3, 4])
+        tree.insert(key);
+    expect(shape(tree.root)).toBe('4(3(2(1,),),)');
+    // 1 and its parent 2 are left children: zig-zig, then a zig with 4
+    tree.search(1);
+    expect(shape(tree.root)).toBe('1(,4(2(,3),))');
+    // 3 is a right child, and its parent 2 a left child: zig-zag, then a zig with 1
+    tree.search(3);
+    expect(shape(tree.root)).toBe('3(1(,2),4)');
+    expect(tree.checkInvariant()).toBeTruthy();
+    expect(checkParents(tree)).toBeTruthy();
+});
+
+test('Splaying can be disabled on reads', () => {
+    let tree = new SplayTree(undefined, {splayOnRead: false});
+    for (let i = 0; i < 50; i++)
+        tree.insert(randint(0, 1000) * 50 + i);
+    const before = shape(tree.root);
+    const key = tree.min().key;
+    expect(tree.search(key).key).toBe(key);
+    expect(tree.search(-1)).toBeNull();
+    expect(tree.count(key)).toBe(1);
+    expect(shape(tree.root)).toBe(before);
+    // updates still splay
+    tree.insert(-5);
+    expect(tree.root.key).toBe(-5);
+    // the option is kept by split()
+    expect(tree.split(500).left.splayOnRead).toBeFalsy();
+});
+
+test('Random operations keep the invariant', () => {
+    let tree = new SplayTree();
+    let keys = new Set();
+    for (let i = 0; i < 2000; i++) {
+        const key = randint(0, 300);
+        const op = randint(0, 2);
+        if (op == 0 && ! keys.has(key)) {
+            tree.insert(key);
+            keys.add(key);
+        }
+        else if (op == 1) {
+            tree.delete(key);
+            keys.delete(key);
+        }
+        else
+            expect(tree.search(key) != null).toBe(keys.has(key));
+    }
+    expect([...tree]).toEqual([...keys].sort((a, b) => a - b));
+    expect(tree.size()).toBe(keys.size);
+    expect(tree.checkInvariant()).toBeTruthy();
+    expect(checkParents(tree)).toBeTruthy();
+});
+
+test('Hot keys stay near the root', () => {
+    let tree = new SplayTree();
+    for (let i = 0; i < 1000; i++)
+        tree.insert(i);
+    // sorted insertions make a chain, but accessing it shortens the paths
+    const hot = [10, 500, 990];
+    for (let i = 0; i < 30; i++)
+        tree.search(hot[i % 3]);
+    const depth = (key) => {
+        let d = 0;
+        for (let node = tree.root; node.key != key; d++)
+            node = key < node.key ? node.left: node.right;
+        return d;
+    };
+    for (const key of hot)
+        expect(depth(key)).toBeLessThanOrEqual(3);
+});
+
+test('Multiset', () => {
+    let tree = new SplayTree(undefined, {multiset: true});
+    for (const key of [5, 3, 5, 8, 5, 3])
+        tree.insert(key);
+    expect(tree.root.key).toBe(3);
+    expect([...tree]).toEqual([3, 3, 5, 5, 5, 8]);
+    tree.delete(5);
+    expect(tree.root.key).toBe(5);
+    expect(tree.count(5)).toBe(2);
+    expect(tree.size()).toBe(5);
+    expect(tree.checkInvariant()).toBeTruthy();
+    // the options are restored from JSON
+    const copy = SplayTree.fromJSON(tree.toJSON(), {splayOnRead: false});
+    expect(copy.splayOnRead).toBeFalsy();
+    expect(copy.multiset).toBeTruthy();
+});
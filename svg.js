@@ -0,0 +1,206 @@
+/*
+    Binary Search Tree in Javascript - SVG Renderer.
+
+    Copyright 2020 Dr. Christian Bruccoleri
+    License: MIT License. See also the LICENSE file included in this distribution.
+ */
+
+const {labeller} = require('./visualize');
+
+
+/**
+ * Compute a tidy drawing of the tree with the algorithm of Reingold and Tilford ("Tidier
+ * Drawings of Trees", IEEE Trans. Software Eng., 1981):
+ * - the nodes at the same depth are on the same horizontal line;
+ * - a left child is to the left of its parent, and a right child to its right;
+ * - a parent is centred above its two children;
+ * - two nodes on the same line are at least `separation` apart;
+ * - a subtree is drawn the same way wherever it appears in the tree.
+ *
+ * Each subtree is laid out bottom-up. Two sibling subtrees are pushed as close as
+ * possible without getting closer than `separation`, by walking down the right contour
+ * of the left one and the left contour of the right one, i.e. the rightmost and the
+ * leftmost node at each depth. The next node of a contour is a child, or else the node
+ * that a thread links it to: when one sibling is shallower than the other, the deepest
+ * node of its outer contour is threaded to the next node of the contour of the deeper
+ * one. The walk stops at the bottom of the shallower subtree, so there is no recursion
+ * and a deep tree does not overflow the stack.
+ *
+ * Complexity: O(n), since the walks of all the nodes visit O(n) contour nodes in total.
+ *
+ * @param {BinarySearchTree} tree The tree to lay out.
+ * @param {number} separation Minimum horizontal distance between two nodes.
+ * @return {Map} A map from each node of the tree to its position `{x, depth}`. The
+ *               smallest `x` is 0.
+ */
+function tidyLayout(tree, separation=1) {
+    // the nodes in pre-order: each node comes before its descendants
+    let order = [];
+    let stack = tree.root ? [tree.root]: [];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        order.push(node);
+        if (node.right) stack.push(node.right);
+        if (node.left) stack.push(node.left);
+    }
+    // bottom-up: offset of each child from its parent, the threads of the contours as
+    // `{node, offset}`, and the height and the deepest leftmost and rightmost nodes of
+    // the subtree of each node, with their offsets from the node itself
+    let offsets = new Map();
+    let threads = new Map();
+    let extremes = new Map();
+    // next node of a contour, and its offset from `node`
+    const next = (node, first, second) => {
+        if (first)
+            return {node: first, offset: offsets.get(first)};
+        if (second)
+            return {node: second, offset: offsets.get(second)};
+        return threads.get(node) || {node: null, offset: 0};
+    };
+    for (let i = order.length - 1; i >= 0; i--) {
+        const node = order[i];
+        const left = node.left ? extremes.get(node.left): null;
+        const right = node.right ? extremes.get(node.right): null;
+        let distance = separation;
+        if (left && right) {
+            // `x` of the contour nodes, relative to the root of their own subtree
+            let inner = {node: node.left, x: 0};
+            let outer = {node: node.right, x: 0};
+            while (inner.node && outer.node) {
+                distance = Math.max(distance, inner.x - outer.x + separation);
+                const a = next(inner.node, inner.node.right, inner.node.left);
+                const b = next(outer.node, outer.node.left, outer.node.right);
+                inner = {node: a.node, x: inner.x + a.offset};
+                outer = {node: b.node, x: outer.x + b.offset};
+            }
+            // thread the contour of the shallower subtree to the deeper one
+            if (inner.node)
+                threads.set(right.right.node,
+                    {node: inner.node, offset: inner.x - right.right.x - distance});
+            else if (outer.node)
+                threads.set(left.left.node,
+                    {node: outer.node, offset: outer.x - left.left.x + distance});
+        }
+        // a single child is drawn as if it had a sibling, so that left and right
+        // children can be told apart
+        const half = distance / 2;
+        const shift = (extreme, offset) => ({node: extreme.node, x: extreme.x + offset});
+        let extreme = {height: 0, left: {node: node, x: 0}, right: {node: node, x: 0}};
+        if (left && (! right || left.height >= right.height))
+            extreme = {height: left.height + 1, left: shift(left.left, -half),
+                right: shift(left.right, -half)};
+        if (right && (! left || right.height >= left.height)) {
+            extreme.right = shift(right.right, half);
+            if (! left || right.height > left.height) {
+                extreme.height = right.height + 1;
+                extreme.left = shift(right.left, half);
+            }
+        }
+        if (node.left) {
+            offsets.set(node.left, -half);
+            extremes.delete(node.left);
+        }
+        if (node.right) {
+            offsets.set(node.right, half);
+            extremes.delete(node.right);
+        }
+        extremes.set(node, extreme);
+    }
+    // top-down: absolute positions
+    let positions = new Map();
+    let minX = 0;
+    for (const node of order) {
+        const parent = node === tree.root ? null: positions.get(node.parent);
+        const position = parent ?
+            {x: parent.x + offsets.get(node), depth: parent.depth + 1}: {x: 0, depth: 0};
+        positions.set(node, position);
+        minX = Math.min(minX, position.x);
+    }
+    for (const position of positions.values())
+        position.x -= minX;
+    return positions;
+}
+
+/**
+ * Escape a string so that it can be used as text or attribute value in XML.
+ * @param {string} str The string to escape.
+ */
+function escapeXml(str) {
+    const entities = {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'};
+    return String(str).replace(/[&<>"']/g, (c) => entities[c]);
+}
+
+/**
+ * Render the tree as a standalone SVG image, laid out with `tidyLayout()`. The result
+ * can be saved to a `.svg` file or embedded in an HTML page.
+ *
+ * @param {BinarySearchTree} tree The tree to render.
+ * @param {Object} options Optional settings:
+ *                 `nodeRadius`: radius of the circle of each node (default 18);
+ *                 `hSpacing`: minimum horizontal space between two nodes (default 12);
+ *                 `vSpacing`: vertical space between two levels (default 30);
+ *                 `margin`: space around the drawing (default 10);
+ *                 `fontSize`: size of the labels (default 12);
+ *                 `fill`, `stroke`, `textColor`: colours of the nodes; `fill` can also be
+ *                 a function `(node) => colour`, e.g. to show the colours of a red-black
+ *                 tree;
+ *                 `edgeColor`: colour of the edges;
+ *                 `highlight`: an iterable of nodes or keys to highlight, e.g. the path
+ *                 of a search; an edge is highlighted if both its ends are;
+ *                 `highlightFill`, `highlightStroke`: colours of the highlighted nodes
+ *                 and edges;
+ *                 `format`, `annotate`: text of the labels, see `visualize.toDot()`.
+ * @return {string} The SVG document.
+ */
+function toSvg(tree, options={}) {
+    const {
+        nodeRadius=18, hSpacing=12, vSpacing=30, margin=10, fontSize=12,
+        fill='#ffffff', stroke='#333333', textColor='#000000', edgeColor='#666666',
+        highlight=[], highlightFill='#ffe680', highlightStroke='#d62728',
+    } = options;
+    const label = labeller(options);
+    const highlighted = new Set(highlight);
+    const isHighlighted = (node) => highlighted.has(node) || highlighted.has(node.key);
+    const fillOf = typeof(fill) === 'function' ? fill: () => fill;
+
+    const positions = tidyLayout(tree, 2 * nodeRadius + hSpacing);
+    let maxX = 0;
+    let maxDepth = 0;
+    for (const {x, depth} of positions.values()) {
+        maxX = Math.max(maxX, x);
+        maxDepth = Math.max(maxDepth, depth);
+    }
+    const cx = (node) => margin + nodeRadius + positions.get(node).x;
+    const cy = (node) => margin + nodeRadius + positions.get(node).depth * (2 * nodeRadius + vSpacing);
+    const width = positions.size > 0 ? 2 * (margin + nodeRadius) + maxX: 2 * margin;
+    const height = positions.size > 0 ?
+        2 * (margin + nodeRadius) + maxDepth * (2 * nodeRadius + vSpacing): 2 * margin;
+
+    let edges = [];
+    let nodes = [];
+    for (const node of positions.keys()) {
+        if (node.parent && positions.has(node.parent)) {
+            const color = isHighlighted(node) && isHighlighted(node.parent) ? highlightStroke: edgeColor;
+            edges.push(`    <line x1="${cx(node.parent)}" y1="${cy(node.parent)}" ` +
+                `x2="${cx(node)}" y2="${cy(node)}" stroke="${escapeXml(color)}"/>`);
+        }
+        const on = isHighlighted(node);
+        nodes.push(`    <g class="node${on ? ' highlight': ''}">` +
+            `<circle cx="${cx(node)}" cy="${cy(node)}" r="${nodeRadius}" ` +
+            `fill="${escapeXml(on ? highlightFill: fillOf(node))}" ` +
+            `stroke="${escapeXml(on ? highlightStroke: stroke)}"/>` +
+            `<text x="${cx(node)}" y="${cy(node)}" text-anchor="middle" ` +
+            `dominant-baseline="central" font-family="sans-serif" font-size="${fontSize}" ` +
+            `fill="${escapeXml(textColor)}">${escapeXml(label(node))}</text></g>`);
+    }
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+            `viewBox="0 0 ${width} ${height}">`,
+        '  <g class="edges">', ...edges, '  </g>',
+        '  <g class="nodes">', ...nodes, '  </g>',
+        '</svg>',
+        ''].join('\n');
+}
+
+// Export these functions as a Nodejs module (and for tests)
+module.exports = {toSvg, tidyLayout};
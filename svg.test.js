@@ -0,0 +1,134 @@
+/*
+    Binary Search Tree in Javascript - SVG Renderer Test Suite.
+
+    Copyright 2020 Dr. Christian Bruccoleri
+    License: MIT License. See also the LICENSE file included in this distribution.
+ */
+
+const {BstNode, BinarySearchTree, AVLTree} = require('./bst');
+const {RedBlackTree} = require('./rbtree');
+const {toSvg, tidyLayout} = require('./svg');
+const {seedRandom} = require('./testutil');
+
+seedRandom('svg_testing');
+
+/** Check the properties of a tidy drawing, see `tidyLayout()`. */
+function checkLayout(tree, positions, separation) {
+    let levels = new Map();
+    for (const [node, {x, depth}] of positions) {
+        if (node.left) {
+            expect(positions.get(node.left).depth).toBe(depth + 1);
+            expect(positions.get(node.left).x).toBeLessThan(x);
+        }
+        if (node.right)
+            expect(positions.get(node.right).x).toBeGreaterThan(x);
+        if (node.left && node.right)
+            expect(positions.get(node.left).x + positions.get(node.right).x).toBeCloseTo(2 * x);
+        if (! levels.has(depth))
+            levels.set(depth, []);
+        levels.get(depth).push(x);
+    }
+    // the nodes of each level are far enough from each other
+    for (const node of tree.ascendingNodes())
+        expect(positions.get(node).x).toBeGreaterThanOrEqual(0);
+    for (const xs of levels.values()) {
+        xs.sort((a, b) => a - b);
+        for (let i = 1; i < xs.length; i++)
+            expect(xs[i] - xs[i-1]).toBeGreaterThanOrEqual(separation - 1e-9);
+    }
+    expect(Math.min(...[...positions.values()].map(p => p.x))).toBe(0);
+}
+
+test('tidyLayout() of a small tree', () => {
+    let tree = new BinarySearchTree();
+    [50, 30, 70, 20, 40, 80].forEach(k => tree.insert(k));
+    const positions = tidyLayout(tree, 2);
+    expect(positions.size).toBe(6);
+    const xOf = (key) => positions.get(tree.search(key)).x;
+    expect(xOf(20)).toBe(0);
+    expect(xOf(30)).toBe(1);
+    expect(xOf(40)).toBe(2);
+    expect(xOf(50)).toBe(2);
+    expect(xOf(70)).toBe(3);
+    expect(xOf(80)).toBe(4);
+    checkLayout(tree, positions, 2);
+    expect(tidyLayout(new BinarySearchTree()).size).toBe(0);
+});
+
+test('tidyLayout() of random trees', () => {
+    for (let n = 1; n < 60; n += 7) {
+        let tree = new BinarySearchTree();
+        for (let i = 0; i < n; i++) {
+            const k = Math.floor(Math.random() * 1000);
+            if (! tree.search(k))
+                tree.insert(k);
+        }
+        checkLayout(tree, tidyLayout(tree, 3), 3);
+    }
+});
+
+test('tidyLayout() of a deep tree', () => {
+    let tree = new BinarySearchTree();
+    for (let i = 0; i < 2000; i++)
+        tree.insert(i % 2 ? 2000 - i : i);
+    const positions = tidyLayout(tree);
+    expect(positions.size).toBe(2000);
+    for (const [node, {depth}] of positions) {
+        let d = 0;
+        for (let p = node; p.parent; p = p.parent)
+            d += 1;
+        expect(depth).toBe(d);
+    }
+    checkLayout(tree, positions, 1);
+    // a long chain of right children, which is laid out in linear time
+    const n = 20000;
+    let chain = new BinarySearchTree();
+    let last = null;
+    for (let i = 0; i < n; i++) {
+        const node = new BstNode(i);
+        if (last)
+            last.addRight(node);
+        else
+            chain.root = node;
+        last = node;
+    }
+    const chainPositions = tidyLayout(chain, 2);
+    expect(chainPositions.get(last)).toEqual({x: n - 1, depth: n - 1});
+});
+
+test('toSvg()', () => {
+    let tree = new AVLTree();
+    for (let i = 1; i <= 7; i++)
+        tree.insert(i);
+    const svg = toSvg(tree, {nodeRadius: 10, hSpacing: 4, vSpacing: 20, margin: 5});
+    expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" ')).toBeTruthy();
+    expect(svg.trim().endsWith('</svg>')).toBeTruthy();
+    expect(svg.match(/<circle /g).length).toBe(7);
+    expect(svg.match(/<line /g).length).toBe(6);
+    // 4 leaves, 24 units apart, plus the radius and the margin on each side
+    expect(svg).toContain('width="102" height="110"');
+    expect(svg).toContain('<circle cx="51" cy="15" r="10"');
+    expect(svg).toContain('>4</text>');
+    expect(svg).not.toContain('highlight');
+});
+
+test('toSvg() highlights and colours', () => {
+    let tree = new RedBlackTree();
+    for (let i = 1; i <= 7; i++)
+        tree.insert(i);
+    // highlight the search path of 7, by key or by node
+    const path = [4, 6, 7];
+    let svg = toSvg(tree, {highlight: path, highlightStroke: '#f00'});
+    expect(svg.match(/class="node highlight"/g).length).toBe(3);
+    expect(svg.match(/stroke="#f00"\/>/g).length).toBe(5);
+    svg = toSvg(tree, {highlight: path.map(k => tree.search(k))});
+    expect(svg.match(/class="node highlight"/g).length).toBe(3);
+    // fill by colour
+    svg = toSvg(tree, {fill: (node) => node.color === 'red' ? 'red' : 'black', textColor: 'white'});
+    expect(svg.match(/fill="red"/g).length).toBe([...tree.ascendingNodes()].filter(n => n.isRed()).length);
+    // labels are escaped
+    let strings = new BinarySearchTree();
+    strings.insert('a<b & "c"');
+    expect(toSvg(strings)).toContain('>a&lt;b &amp; &quot;c&quot;</text>');
+    expect(toSvg(new BinarySearchTree())).toContain('width="20" height="20"');
+});
@@ -0,0 +1,56 @@
+/*
+    Binary Search Tree in Javascript - Helpers shared by the Test Suites.
+
+    Copyright 2020 Dr. Christian Bruccoleri
+    License: MIT License. See also the LICENSE file included in this distribution.
+ */
+
+const seedrandom = require('seedrandom');
+
+/**
+ * Replace `Math.random` with a seedable version before the tests of a suite run, so
+ * that each run uses the same keys. Call it at the top level of a test file.
+ * @param {string} seed The seed of the test suite.
+ */
+function seedRandom(seed) {
+    beforeAll(() => {
+        seedrandom(seed, {global: true});
+    });
+}
+
+/** Random integer between `minVal` and `maxVal`, extrema included. */
+function randint(minVal, maxVal) {
+    return Math.round(Math.random()*(maxVal - minVal)) + minVal;
+}
+
+/** Height of a tree, computed without recursion: -1 for an empty tree. */
+function treeHeight(tree) {
+    let height = -1;
+    let stack = tree.root ? [[tree.root, 0]]: [];
+    while (stack.length > 0) {
+        const [node, depth] = stack.pop();
+        height = Math.max(height, depth);
+        if (node.left) stack.push([node.left, depth + 1]);
+        if (node.right) stack.push([node.right, depth + 1]);
+    }
+    return height;
+}
+
+/** Return true if and only if every child of the tree points back to its parent. */
+function checkParents(tree) {
+    if (tree.root && tree.root.parent != null)
+        return false;
+    let stack = tree.root ? [tree.root]: [];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        for (const child of [node.left, node.right])
+            if (child) {
+                if (child.parent !== node)
+                    return false;
+                stack.push(child);
+            }
+    }
+    return true;
+}
+
+module.exports = {seedRandom, randint, treeHeight, checkParents};
@@ -0,0 +1,329 @@
+/*
+    Treap in Javascript - Implementation.
+
+    Copyright 2020 Dr. Christian Bruccoleri
+    License: MIT License. See also the LICENSE file included in this distribution.
+ */
+
+const {BstNode, BinarySearchTree, defaultCompare} = require('./bst');
+
+
+/**
+ * A node of a `Treap`. In addition to the properties of `BstNode`, it has a random
+ * `priority`, which decides its depth in the tree.
+ */
+class TreapNode extends BstNode {
+    /**
+     * @param {any} key The key of the node.
+     * @param {number} priority The priority of the node, usually a random number.
+     */
+    constructor(key, priority) {
+        super(key);
+        this.priority = priority;
+    }
+}
+
+
+/**
+ * Treap, as described by Seidel and Aragon ("Randomized Search Trees", Algorithmica,
+ * 1996): a BST on the keys that is also a max-heap on the priorities of the nodes, i.e.
+ * the priority of each node is not smaller than the priorities of its children. Since
+ * priorities are random, the tree has the shape of a BST built by inserting the keys in
+ * random order, whose expected height is O(log n) whatever the order of the updates.
+ *
+ * The random numbers come from the `random` option, a function that returns numbers in
+ * [0, 1) like `Math.random()` (the default). A seeded generator makes the shapes
+ * reproducible, e.g. `new Treap(compare, {random: seedrandom('my seed')})` with the
+ * `seedrandom` package.
+ *
+ * `insert()` and `delete()` are based on `_split()` and `_merge()`, which only walk one
+ * path down the tree. Nodes attached by the other insertion algorithms of
+ * `BinarySearchTree` (e.g. `insertRec()`) are moved up by rotations instead.
+ */
+class Treap extends BinarySearchTree {
+    /**
+     * @param {Function} compare Comparator of the keys, see `BinarySearchTree`.
+     * @param {Object} options   Optional settings, see `BinarySearchTree`, plus
+     *                           `random`: source of the priorities, a function that
+     *                           returns a number in [0, 1) (default `Math.random`).
+     */
+    constructor(compare=defaultCompare, options={}) {
+        super(compare, options);
+        const {random=Math.random} = options;
+        if (typeof(random) !== 'function')
+            throw new TypeError('The random source must be a function; got: ' + typeof(random));
+        this.random = random;
+    }
+
+    _createNode(key) {
+        return new TreapNode(key, this.random());
+    }
+
+    _options() {
+        return {...super._options(), random: this.random};
+    }
+
+    /**
+     * Split the detached subtree rooted at `node` into the subtree of the keys smaller
+     * than `key` and the subtree of the keys greater than `key`. The node of `key`, if
+     * any, is detached from both. Both subtrees are still heap-ordered: the nodes on the
+     * search path of `key` are linked into two chains, the right spine of the smaller
+     * keys and the left spine of the greater keys, in the order they are visited.
+     *
+     * Complexity: O(h)
+     *
+     * @param {TreapNode} node The root of the subtree (may be null).
+     * @param {any} key The key to split at.
+     * @return {Array} `[left, middle, right]`: the roots of the two subtrees (with no
+     *                 parent), and the node of `key` or null.
+     */
+    _split(node, key) {
+        let roots = [null, null];
+        let tails = [null, null];
+        let middle = null;
+        let path = [];
+        // attach `child` to the end of the chain of the smaller (0) or greater (1) keys
+        const link = (side, child) => {
+            const tail = tails[side];
+            if (tail == null)
+                roots[side] = child;
+            else if (side == 0)
+                tail.right = child;
+            else
+                tail.left = child;
+            if (child)
+                child.parent = tail;
+        };
+        while (node != null) {
+            const cmp = this._compare(node.key, key);
+            if (cmp == 0) {
+                middle = node;
+                break;
+            }
+            const side = cmp < 0 ? 0: 1;
+            path.push(node);
+            link(side, node);
+            tails[side] = node;
+            node = cmp < 0 ? node.right: node.left;
+        }
+        link(0, middle ? middle.left: null);
+        link(1, middle ? middle.right: null);
+        if (middle) {
+            middle.left = middle.right = middle.parent = null;
+            this._updateNode(middle);
+        }
+        // the children of each node on the path come after it
+        for (let i = path.length - 1; i >= 0; i--)
+            this._updateNode(path[i]);
+        return [roots[0], middle, roots[1]];
+    }
+
+    /**
+     * Merge two detached subtrees, where all the keys of `left` are smaller than all the
+     * keys of `right`, into one heap-ordered subtree. The right spine of `left` and the
+     * left spine of `right` are merged by priority, like two sorted lists.
+     *
+     * Complexity: O(h)
+     *
+     * @param {TreapNode} left Root of the subtree of the smaller keys (may be null).
+     * @param {TreapNode} right Root of the subtree of the greater keys (may be null).
+     * @return {TreapNode} The root of the merged subtree, with no parent.
+     */
+    _merge(left, right) {
+        let root = null;
+        let parent = null;
+        let side = null;
+        let path = [];
+        const attach = (node) => {
+            if (parent == null)
+                root = node;
+            else
+                parent[side] = node;
+            if (node)
+                node.parent = parent;
+        };
+        while (left != null && right != null) {
+            // the node with the higher priority goes on top; the rest of the other
+            // spine is merged below it, on the side facing the other subtree
+            let node = null;
+            let next = null;
+            if (left.priority >= right.priority) {
+                node = left;
+                left = left.right;
+                next = 'right';
+            }
+            else {
+                node = right;
+                right = right.left;
+                next = 'left';
+            }
+            attach(node);
+            path.push(node);
+            parent = node;
+            side = next;
+        }
+        attach(left != null ? left: right);
+        for (let i = path.length - 1; i >= 0; i--)
+            this._updateNode(path[i]);
+        return root;
+    }
+
+    /**
+     * Insert `key` with a random priority. The node goes down the search path until it
+     * meets a node with a lower priority, whose subtree is split at `key` to become the
+     * two subtrees of the new node, so no rotation is needed.
+     *
+     * Complexity: O(log n) expected.
+     *
+     * @param {any} key The key to be inserted. A duplicate key is an error, unless the
+     *                  tree is a multiset, in which case its count is incremented.
+     * @return {TreapNode} The node containing `key`.
+     */
+    insert(key) {
+        // an empty tree does not compare anything, but the key must still be valid
+        if (this.root == null)
+            this._compare(key, key);
+        const found = this.search(key);
+        if (found && this.multiset) {
+            found.count += 1;
+            this._size += 1;
+            this._updatePath(found);
+            return found;
+        }
+        else if (found)
+            throw new Error('Duplicate key: ' + JSON.stringify(key));
+        const newNode = this._createNode(key);
+        let parent = null;
+        let node = this.root;
+        let cmp = 0;
+        while (node != null && node.priority >= newNode.priority) {
+            parent = node;
+            cmp = this._compare(key, node.key);
+            node = cmp < 0 ? node.left: node.right;
+        }
+        if (node)
+            this._transplant(newNode, node);
+        else if (parent == null)
+            this.root = newNode;
+        else if (cmp < 0)
+            parent.addLeft(newNode);
+        else
+            parent.addRight(newNode);
+        const [left, , right] = this._split(node, key);
+        if (left)
+            newNode.addLeft(left);
+        if (right)
+            newNode.addRight(right);
+        this._updateNode(newNode);
+        this._size += 1;
+        this._updatePath(parent);
+        return newNode;
+    }
+
+    /**
+     * Move a node inserted as a leaf (e.g. by `insertRec()`) up with rotations, until
+     * its parent has a priority not lower than its own.
+     */
+    _afterInsert(node) {
+        while (node.parent != null && node.parent.priority < node.priority)
+            if (node.parent.left === node)
+                this.rotateRight(node.parent);
+            else
+                this.rotateLeft(node.parent);
+    }
+
+    /**
+     * Remove `node` from the tree, together with all the occurrences of its key: its two
+     * subtrees are merged with `_merge()` and take its place.
+     *
+     * Complexity: O(log n) expected.
+     *
+     * @param {TreapNode} node A node of this tree.
+     */
+    del(node) {
+        if (! node)
+            return;
+        for (const child of [node.left, node.right])
+            if (child)
+                child.parent = null;
+        const merged = this._merge(node.left, node.right);
+        this._transplant(merged, node);
+        node.left = node.right = null;
+        this._size -= node.count;
+        this._updatePath(node.parent);
+        node.parent = null;
+    }
+
+    /**
+     * Split this tree at `key` as `BinarySearchTree.split()` does, but with a single
+     * `_split()` of the whole tree.
+     *
+     * Complexity: O(log n) expected.
+     */
+    split(key) {
+        const [left, middle, right] = this._split(this.root, key);
+        this.root = null;
+        this._size = 0;
+        return {left: this._treeFromRoot(left), middle: middle, right: this._treeFromRoot(right)};
+    }
+
+    /**
+     * Join the subtrees `left` and `right` with `mid`, see `BinarySearchTree._join3()`:
+     * `mid` keeps its priority, so it ends up wherever the heap order puts it.
+     */
+    _join3(left, mid, right) {
+        this.root = this._merge(this._merge(left, mid), right);
+    }
+
+    /**
+     * Give new priorities to a tree of minimum height, as built by `fromSorted()` or
+     * `rebalance()`: random priorities are sorted and assigned level by level, so that
+     * each node has a higher priority than the nodes of the levels below.
+     */
+    _afterRebuild() {
+        let levels = [];
+        let level = this.root ? [this.root]: [];
+        while (level.length > 0) {
+            levels.push(level);
+            let next = [];
+            for (const node of level) {
+                if (node.left) next.push(node.left);
+                if (node.right) next.push(node.right);
+            }
+            level = next;
+        }
+        const nodes = levels.flat();
+        const priorities = nodes.map(() => this.random()).sort((a, b) => b - a);
+        nodes.forEach((node, i) => node.priority = priorities[i]);
+    }
+
+    /** Save the priorities of the nodes, so that the same tree can be rebuilt. */
+    _shapeToJSON(data, nodes) {
+        data.priorities = nodes.map(node => node.priority);
+    }
+
+    _shapeFromJSON(data, nodes) {
+        if (! Array.isArray(data.priorities) || data.priorities.length !== nodes.length ||
+            ! data.priorities.every(Number.isFinite))
+            throw new Error('Invalid tree JSON: `priorities` must have a number for each node');
+        nodes.forEach((node, i) => node.priority = data.priorities[i]);
+    }
+
+    /**
+     * In addition to the BST invariant, verify the heap order: the priority of every
+     * node is a number ('priority') not lower than the priorities of its children ('heap').
+     */
+    _validateNodes(report, nodes) {
+        super._validateNodes(report, nodes);
+        for (const node of nodes) {
+            if (typeof(node.priority) !== 'number' || Number.isNaN(node.priority))
+                report.add(node, 'priority', `invalid priority: ${String(node.priority)}`);
+            for (const child of [node.left, node.right])
+                if (child && child.priority > node.priority)
+                    report.add(child, 'heap', `the priority is higher than ${node.priority}, the priority of the parent`);
+        }
+    }
+}
+
+// Export these classes as a Nodejs module (and for tests)
+module.exports = {TreapNode, Treap};
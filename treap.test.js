@@ -0,0 +1,136 @@
+/*
+    Treap in Javascript - Test Suite.
+
+    Copyright 2020 Dr. Christian Bruccoleri
+    License: MIT License. See also the LICENSE file included in this distribution.
+ */
+
+const {TreapNode, Treap} = require('./treap');
+const {BinarySearchTree} = require('./bst');
+const seedrandom = require('seedrandom');
+const {seedRandom, randint, treeHeight} = require('./testutil');
+
+seedRandom('treap_testing');
+
+test('Treap is a BinarySearchTree', () => {
+    const tree = new Treap();
+    expect(tree).toBeInstanceOf(BinarySearchTree);
+    expect(tree.insert(1)).toBeInstanceOf(TreapNode);
+    expect(tree.random).toBe(Math.random);
+    expect(() => new Treap(undefined, {random: 42})).toThrow(TypeError);
+});
+
+test('A seeded random source makes the shape reproducible', () => {
+    const build = (seed) => {
+        let tree = new Treap(undefined, {random: seedrandom(seed)});
+        for (let i = 0; i < 200; i++)
+            tree.insert(i);
+        return tree;
+    };
+    const shape = (tree) => JSON.stringify(tree.toJSON({mode: 'shape'}));
+    expect(shape(build('one'))).toBe(shape(build('one')));
+    expect(shape(build('one'))).not.toBe(shape(build('two')));
+});
+
+test('Sorted insertions give a shallow tree', () => {
+    let tree = new Treap(undefined, {random: seedrandom('sorted')});
+    for (let i = 0; i < 5000; i++)
+        tree.insert(i);
+    expect(tree.size()).toBe(5000);
+    expect(tree.checkInvariant()).toBeTruthy();
+    // the expected height is about 3 log2(n)
+    expect(treeHeight(tree)).toBeLessThan(50);
+    for (let i = 0; i < 5000; i += 2)
+        tree.delete(i);
+    expect(tree.size()).toBe(2500);
+    expect(tree.min().key).toBe(1);
+    expect(tree.checkInvariant()).toBeTruthy();
+});
+
+test('Random insertions and deletions', () => {
+    let tree = new Treap(undefined, {random: seedrandom('random')});
+    let keys = new Set();
+    for (let i = 0; i < 3000; i++) {
+        const key = randint(-500, 500);
+        if (keys.has(key)) {
+            tree.delete(key);
+            keys.delete(key);
+        }
+        else {
+            tree.insert(key);
+            keys.add(key);
+        }
+    }
+    expect([...tree]).toEqual([...keys].sort((a, b) => a - b));
+    expect(tree.size()).toBe(keys.size);
+    expect(tree.checkInvariant()).toBeTruthy();
+    expect(() => tree.insert([...keys][0])).toThrow('Duplicate key');
+    // nodes attached by the recursive insertion are moved up by rotations
+    for (let i = 1000; i < 1100; i++)
+        tree.insertRec(i);
+    expect(tree.size()).toBe(keys.size + 100);
+    expect(tree.checkInvariant()).toBeTruthy();
+});
+
+test('Violations of the heap order are detected', () => {
+    let tree = new Treap(undefined, {random: seedrandom('heap')});
+    for (const key of [5, 3, 8, 1, 4])
+        tree.insert(key);
+    expect(tree.checkInvariant()).toBeTruthy();
+    const child = tree.root.left || tree.root.right;
+    child.priority = tree.root.priority + 1;
+    expect(tree.checkInvariant()).toBeFalsy();
+    child.priority = NaN;
+    expect(tree.checkInvariant()).toBeFalsy();
+});
+
+test('Multiset', () => {
+    let tree = new Treap(undefined, {multiset: true, random: seedrandom('multi')});
+    for (const key of [5, 3, 5, 8, 5, 3])
+        tree.insert(key);
+    expect([...tree]).toEqual([3, 3, 5, 5, 5, 8]);
+    tree.delete(5);
+    expect(tree.count(5)).toBe(2);
+    tree.del(tree.search(5));
+    expect([...tree]).toEqual([3, 3, 8]);
+    expect(tree.size()).toBe(3);
+    expect(tree.checkInvariant()).toBeTruthy();
+});
+
+test('split(), join() and rebuilds keep the heap order', () => {
+    const random = seedrandom('split');
+    let tree = new Treap(undefined, {random: random});
+    for (let i = 0; i < 500; i++)
+        tree.insert(i * 2);
+    const {left, middle, right} = tree.split(400);
+    expect(middle.key).toBe(400);
+    expect([left.size(), right.size()]).toEqual([200, 299]);
+    expect(left.checkInvariant() && right.checkInvariant()).toBeTruthy();
+    expect(left.random).toBe(random);
+    const joined = Treap.join(left, right);
+    expect(joined.size()).toBe(499);
+    expect(joined.search(400)).toBeNull();
+    expect(joined.checkInvariant()).toBeTruthy();
+    const notFound = joined.split(401);
+    expect(notFound.middle).toBeNull();
+    expect(notFound.left.max().key).toBe(398);
+    expect(notFound.left.deleteRange(100, 300, {loInclusive: false})).toBe(99);
+    expect(notFound.left.size()).toBe(101);
+    expect(notFound.left.search(100)).not.toBeNull();
+    expect(notFound.left.checkInvariant()).toBeTruthy();
+    // the balanced shapes get new priorities
+    joined.rebalance();
+    expect(joined.checkInvariant()).toBeTruthy();
+    const built = Treap.fromSorted([1, 2, 3, 4, 5, 6, 7], undefined, {random: random});
+    expect(built.checkInvariant()).toBeTruthy();
+    expect(Treap.fromJSON(JSON.stringify(built.toJSON({mode: 'shape'}))).toJSON({mode: 'shape'}))
+        .toEqual(built.toJSON({mode: 'shape'}));
+    expect(Treap.fromJSON(built.toJSON(), {random: random}).random).toBe(random);
+    const json = built.toJSON({mode: 'shape'});
+    json.priorities[3] = 'high';
+    expect(() => Treap.fromJSON(json)).toThrow('priorities');
+    // a shape that breaks the heap order is rejected
+    const bad = built.toJSON({mode: 'shape'});
+    bad.priorities.reverse();
+    expect(() => Treap.fromJSON(bad)).toThrow('valid Treap');
+});
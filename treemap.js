@@ -0,0 +1,140 @@
+/*
+    Sorted Map based on a Binary Search Tree in Javascript - Implementation.
+
+    Copyright 2020 Dr. Christian Bruccoleri
+    License: MIT License. See also the LICENSE file included in this distribution.
+ */
+
+const {AVLTree, defaultCompare} = require('./bst');
+
+
+/**
+ * An ordered map of keys to values with the same interface as the built-in `Map`, except
+ * that keys are kept sorted by a comparator instead of by insertion order. Therefore, it
+ * can be used as a drop-in replacement of `Map` whenever the entries must be visited in
+ * sorted order.
+ *
+ * Entries are stored in the nodes of a (balanced) `AVLTree`: each node holds the value
+ * of its key in the `value` property. `get()`, `set()`, `has()` and `delete()` take
+ * O(log n) time.
+ *
+ * As for `Map`, adding or deleting entries while iterating over the map is not supported,
+ * but the value of an existing entry can be changed with `set()`.
+ */
+class TreeMap {
+    /**
+     * @param {Iterable} entries Optional iterable of `[key, value]` pairs to add to the map.
+     * @param {Function} compare Comparator of the keys, see `BinarySearchTree`.
+     */
+    constructor(entries=null, compare=defaultCompare) {
+        this._tree = new AVLTree(compare);
+        if (entries != null)
+            for (const [key, value] of entries)
+                this.set(key, value);
+    }
+
+    /** Number of entries in the map. */
+    get size() {
+        return this._tree.size();
+    }
+
+    /** The comparator of the keys. */
+    get compare() {
+        return this._tree.compare;
+    }
+
+    /**
+     * Add an entry to the map, or replace the value of `key` if it is already in the map.
+     * @param {any} key The key of the entry.
+     * @param {any} value The value associated to `key`.
+     * @return {TreeMap} This map, so that calls can be chained.
+     */
+    set(key, value) {
+        let node = this._tree.search(key);
+        if (node == null)
+            node = this._tree.insert(key);
+        node.value = value;
+        return this;
+    }
+
+    /**
+     * Return the value associated to `key`, or `undefined` if `key` is not in the map.
+     * @param {any} key The key to look up.
+     */
+    get(key) {
+        const node = this._tree.search(key);
+        return node ? node.value: undefined;
+    }
+
+    /**
+     * Return true if and only if `key` is in the map.
+     * @param {any} key The key to look up.
+     */
+    has(key) {
+        return this._tree.search(key) != null;
+    }
+
+    /**
+     * Remove the entry of `key` from the map.
+     * @param {any} key The key of the entry to remove.
+     * @return {boolean} True if the entry existed and has been removed, false otherwise.
+     */
+    delete(key) {
+        const node = this._tree.search(key);
+        if (node == null)
+            return false;
+        this._tree.del(node);
+        return true;
+    }
+
+    /** Remove all the entries from the map. */
+    clear() {
+        this._tree = new AVLTree(this._tree.compare);
+    }
+
+    /**
+     * Visit the nodes of the tree in key order, using O(1) extra memory.
+     */
+    _nodes() {
+        return this._tree.ascendingNodes();
+    }
+
+    /** Return an iterator over the keys of the map, in ascending order. */
+    *keys() {
+        for (const node of this._nodes())
+            yield node.key;
+    }
+
+    /** Return an iterator over the values of the map, in ascending order of their key. */
+    *values() {
+        for (const node of this._nodes())
+            yield node.value;
+    }
+
+    /** Return an iterator over the `[key, value]` pairs of the map, in ascending key order. */
+    *entries() {
+        for (const node of this._nodes())
+            yield [node.key, node.value];
+    }
+
+    [Symbol.iterator]() {
+        return this.entries();
+    }
+
+    /**
+     * Call `callback(value, key, map)` for each entry of the map, in ascending key order.
+     * @param {Function} callback The function to call for each entry.
+     * @param {any} thisArg Value of `this` when `callback` is called.
+     */
+    forEach(callback, thisArg) {
+        for (const node of this._nodes())
+            callback.call(thisArg, node.value, node.key, this);
+    }
+
+    get [Symbol.toStringTag]() {
+        return 'TreeMap';
+    }
+}
+
+// Export these classes as a Nodejs module (and for tests)
+module.exports = {TreeMap};
@@ -0,0 +1,88 @@
+/*
+    Sorted Map based on a Binary Search Tree in Javascript - Test Suite.
+
+    Copyright 2020 Dr. Christian Bruccoleri
+    License: MIT License. See also the LICENSE file included in this distribution.
+ */
+
+const {TreeMap} = require('./treemap');
+
+test('Empty map', () => {
+    const map = new TreeMap();
+    expect(map.size).toBe(0);
+    expect(map.get(1)).toBeUndefined();
+    expect(map.has(1)).toBeFalsy();
+    expect(map.delete(1)).toBeFalsy();
+    expect([...map]).toEqual([]);
+    expect(Object.prototype.toString.call(map)).toBe('[object TreeMap]');
+});
+
+test('set() is an upsert', () => {
+    const map = new TreeMap();
+    expect(map.set('b', 2).set('a', 1)).toBe(map);
+    expect(map.size).toBe(2);
+    expect(map.get('a')).toBe(1);
+    map.set('a', 10);
+    expect(map.size).toBe(2);
+    expect(map.get('a')).toBe(10);
+    // undefined is a valid value, different from a missing key
+    map.set('c', undefined);
+    expect(map.has('c')).toBeTruthy();
+    expect(map.get('c')).toBeUndefined();
+});
+
+test('Same results as Map, in sorted order', () => {
+    const entries = [[5, 'five'], [1, 'one'], [9, 'nine'], [3, 'three'], [7, 'seven']];
+    const map = new TreeMap(entries);
+    const reference = new Map(entries);
+    const sorted = [...reference.entries()].sort((a, b) => a[0] - b[0]);
+    expect([...map]).toEqual(sorted);
+    expect([...map.entries()]).toEqual(sorted);
+    expect([...map.keys()]).toEqual(sorted.map(e => e[0]));
+    expect([...map.values()]).toEqual(sorted.map(e => e[1]));
+    expect(new Map(map)).toEqual(reference);
+    let visited = [];
+    const context = {};
+    map.forEach(function (value, key, m) {
+        expect(m).toBe(map);
+        expect(this).toBe(context);
+        visited.push([key, value]);
+    }, context);
+    expect(visited).toEqual(sorted);
+});
+
+test('delete() and clear()', () => {
+    const map = new TreeMap([[2, 'b'], [1, 'a'], [3, 'c']]);
+    expect(map.delete(2)).toBeTruthy();
+    expect(map.delete(2)).toBeFalsy();
+    expect(map.has(2)).toBeFalsy();
+    expect([...map.keys()]).toEqual([1, 3]);
+    map.clear();
+    expect(map.size).toBe(0);
+    map.set(4, 'd');
+    expect([...map.keys()]).toEqual([4]);
+});
+
+test('Custom comparator', () => {
+    const byDay = (a, b) => a.getTime() - b.getTime();
+    const map = new TreeMap(null, byDay);
+    expect(map.compare).toBe(byDay);
+    map.set(new Date(2020, 0, 3), 'c');
+    map.set(new Date(2020, 0, 1), 'a');
+    map.set(new Date(2020, 0, 2), 'b');
+    // a different Date object with the same time is the same key
+    expect(map.get(new Date(2020, 0, 2))).toBe('b');
+    expect([...map.values()]).toEqual(['a', 'b', 'c']);
+    // keys that cannot be ordered are rejected
+    expect(() => new TreeMap([[1, 'a'], ['2', 'b']])).toThrow(TypeError);
+});
+
+test('Many entries stay balanced', () => {
+    const map = new TreeMap();
+    for (let i = 0; i < 1000; i++)
+        map.set(i, i * i);
+    expect(map.size).toBe(1000);
+    expect(map.get(999)).toBe(998001);
+    expect(map._tree.checkInvariant()).toBeTruthy();
+    expect(map._tree.height()).toBeLessThan(15);
+});
@@ -0,0 +1,187 @@
+/*
+    Binary Search Tree in Javascript - Visualization.
+
+    Copyright 2020 Dr. Christian Bruccoleri
+    License: MIT License. See also the LICENSE file included in this distribution.
+ */
+
+
+/**
+ * Built-in annotations that can be shown next to the key of each node. Each one is a
+ * function of the node that returns a string, or null if there is nothing to show (e.g.
+ * the height of a node that is not an `AVLNode`).
+ */
+const annotations = {
+    // number of occurrences of the key in a multiset
+    count: (node) => node.count > 1 ? 'x' + node.count: null,
+    // height of an AVL node
+    height: (node) => node.avlHeight !== undefined ? 'h=' + node.avlHeight: null,
+    // colour of a red-black node
+    color: (node) => node.color !== undefined ? String(node.color): null,
+    // number of keys in the subtree
+    size: (node) => node.subtreeSize !== undefined ? 'size=' + node.subtreeSize: null,
+};
+
+/**
+ * Return a function that generates the label of a node, from the options of the
+ * exporters.
+ * @param {Object} options See `toDot()`.
+ */
+function labeller({format=String, annotate=['count']}={}) {
+    let annotators = [];
+    if (typeof(annotate) === 'function')
+        annotators = [annotate];
+    else
+        annotators = annotate.map(name => {
+            if (! annotations[name])
+                throw new Error('Unknown annotation: ' + String(name));
+            return annotations[name];
+        });
+    return (node) => {
+        const notes = annotators.map(fn => fn(node)).filter(note => note != null && note !== '');
+        return format(node.key) + (notes.length > 0 ? ' (' + notes.join(', ') + ')': '');
+    };
+}
+
+/**
+ * Visit the tree in pre-order without recursion, and call `visit(node, parent, edge)`
+ * for each node, where `edge` is 'L' or 'R' (null for the root). Missing children are
+ * visited as `null` if they have a sibling and `showNull` is true.
+ * @param {BinarySearchTree} tree The tree to visit.
+ * @param {boolean} showNull Whether to visit the missing children.
+ * @param {Function} visit The function to call.
+ */
+function visitEdges(tree, showNull, visit) {
+    let stack = tree.root ? [[tree.root, null, null]]: [];
+    while (stack.length > 0) {
+        const [node, parent, edge] = stack.pop();
+        visit(node, parent, edge);
+        if (node && ! node.isLeaf()) {
+            if (node.right || showNull)
+                stack.push([node.right, node, 'R']);
+            if (node.left || showNull)
+                stack.push([node.left, node, 'L']);
+        }
+    }
+}
+
+/**
+ * Export the tree in the DOT language of Graphviz, e.g. to render it with
+ * `dot -Tpng tree.dot -o tree.png`. Edges are labelled "L" and "R", and missing
+ * children are drawn as small points.
+ *
+ * @param {BinarySearchTree} tree The tree to export.
+ * @param {Object} options Optional settings:
+ *                 `format`: function that converts a key into a string (default `String`);
+ *                 `annotate`: either an array of names of `annotations` (default
+ *                 `['count']`), or a function `(node) => string` that returns the text to
+ *                 show next to the key;
+ *                 `showNull`: whether to show the missing children of internal nodes
+ *                 (default true);
+ *                 `name`: name of the graph (default "BST").
+ * @return {string} The DOT source.
+ */
+function toDot(tree, options={}) {
+    const {showNull=true, name='BST'} = options;
+    const label = labeller(options);
+    const quote = (str) => '"' + str.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+    let ids = new Map();
+    let nulls = 0;
+    let lines = [`digraph ${quote(name)} {`, '    node [shape=circle];'];
+    visitEdges(tree, showNull, (node, parent, edge) => {
+        let id;
+        if (node) {
+            id = 'n' + ids.size;
+            ids.set(node, id);
+            lines.push(`    ${id} [label=${quote(label(node))}];`);
+        }
+        else {
+            id = 'null' + nulls++;
+            lines.push(`    ${id} [shape=point];`);
+        }
+        if (parent)
+            lines.push(`    ${ids.get(parent)} -> ${id} [label="${edge}"];`);
+    });
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Export the tree as a Mermaid flowchart, which can be embedded in Markdown documents.
+ * Edges are labelled "L" and "R", and missing children are drawn as "∅".
+ *
+ * @param {BinarySearchTree} tree The tree to export.
+ * @param {Object} options Optional settings, as for `toDot()` (except `name`), plus
+ *                 `direction`: direction of the flowchart (default "TD", top-down).
+ * @return {string} The Mermaid source.
+ */
+function toMermaid(tree, options={}) {
+    const {showNull=true, direction='TD'} = options;
+    const label = labeller(options);
+    // the only character with a special meaning in a quoted Mermaid label
+    const quote = (str) => '"' + str.replace(/"/g, '#quot;') + '"';
+    let ids = new Map();
+    let nulls = 0;
+    let lines = ['graph ' + direction];
+    visitEdges(tree, showNull, (node, parent, edge) => {
+        const shape = node ?
+            `n${ids.size}[${quote(label(node))}]`:
+            `null${nulls}((${quote('∅')}))`;
+        if (node)
+            ids.set(node, 'n' + ids.size);
+        else
+            nulls += 1;
+        if (parent)
+            lines.push(`    ${ids.get(parent)} -->|${edge}| ${shape}`);
+        else
+            lines.push('    ' + shape);
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Draw the tree sideways with Unicode box-drawing characters, with the root on the first
+ * line and each child indented below its parent, the left child first. For example:
+ *
+ *     50
+ *     ├─L─ 30
+ *     │    ├─L─ 20
+ *     │    └─R─ 40
+ *     └─R─ 70
+ *          ├─L─ ∅
+ *          └─R─ 80
+ *
+ * Like `stringTree()`, it does not use recursion, so the depth of the tree does not
+ * overflow the stack. Each line is indented by the depth of its node, though, so the
+ * output grows with the square of the depth: a degenerate tree of some tens of thousands
+ * of nodes already makes a drawing longer than a string can be.
+ *
+ * @param {BinarySearchTree} tree The tree to draw.
+ * @param {Object} options Optional settings, as for `toDot()` (except `name`).
+ * @return {string} The drawing, one line per node.
+ */
+function toBoxDrawing(tree, options={}) {
+    const {showNull=true} = options;
+    const label = labeller(options);
+    let lines = [];
+    // the prefix of the children of each node, i.e. the vertical lines of its ancestors
+    let prefixes = new Map();
+    visitEdges(tree, showNull, (node, parent, edge) => {
+        const text = node ? label(node): '∅';
+        if (! parent) {
+            lines.push(text);
+            prefixes.set(node, '');
+            return;
+        }
+        const prefix = prefixes.get(parent);
+        // the left child is the last one only if there is no right child to draw
+        const isLast = edge === 'R' || (parent.right == null && ! showNull);
+        lines.push(prefix + (isLast ? '└─': '├─') + edge + '─ ' + text);
+        if (node)
+            prefixes.set(node, prefix + (isLast ? '     ': '│    '));
+    });
+    return lines.join('\n') + (lines.length > 0 ? '\n': '');
+}
+
+// Export these functions as a Nodejs module (and for tests)
+module.exports = {toDot, toMermaid, toBoxDrawing, annotations, labeller};
@@ -0,0 +1,99 @@
+/*
+    Binary Search Tree in Javascript - Visualization Test Suite.
+
+    Copyright 2020 Dr. Christian Bruccoleri
+    License: MIT License. See also the LICENSE file included in this distribution.
+ */
+
+const {BinarySearchTree, AVLTree} = require('./bst');
+const {RedBlackTree} = require('./rbtree');
+const {toDot, toMermaid, toBoxDrawing} = require('./visualize');
+
+/** The tree used in the examples: 50 (30 (20, 40), 70 (-, 80)). */
+function sampleTree(TreeClass=BinarySearchTree) {
+    let tree = new TreeClass();
+    [50, 30, 70, 20, 40, 80].forEach(k => tree.insert(k));
+    return tree;
+}
+
+test('toBoxDrawing()', () => {
+    expect(toBoxDrawing(sampleTree())).toBe([
+        '50',
+        '├─L─ 30',
+        '│    ├─L─ 20',
+        '│    └─R─ 40',
+        '└─R─ 70',
+        '     ├─L─ ∅',
+        '     └─R─ 80',
+        ''].join('\n'));
+    expect(toBoxDrawing(sampleTree(), {showNull: false})).toBe([
+        '50',
+        '├─L─ 30',
+        '│    ├─L─ 20',
+        '│    └─R─ 40',
+        '└─R─ 70',
+        '     └─R─ 80',
+        ''].join('\n'));
+    expect(toBoxDrawing(new BinarySearchTree())).toBe('');
+});
+
+test('toDot()', () => {
+    const dot = toDot(sampleTree(), {name: 'sample'});
+    expect(dot.startsWith('digraph "sample" {\n')).toBeTruthy();
+    expect(dot.endsWith('}\n')).toBeTruthy();
+    expect(dot).toContain('n0 [label="50"];');
+    expect(dot).toContain('n0 -> n1 [label="L"];');
+    expect(dot).toContain('n1 [label="30"];');
+    expect(dot).toContain('n4 [label="70"];');
+    expect(dot).toContain('n0 -> n4 [label="R"];');
+    expect(dot).toContain('null0 [shape=point];');
+    expect(dot).toContain('n4 -> null0 [label="L"];');
+    expect(dot).toContain('n4 -> n5 [label="R"];');
+    expect(toDot(sampleTree(), {showNull: false})).not.toContain('null');
+    // labels are escaped
+    let tree = new BinarySearchTree();
+    tree.insert('say "hi"');
+    expect(toDot(tree)).toContain('[label="say \\"hi\\""]');
+});
+
+test('toMermaid()', () => {
+    const mermaid = toMermaid(sampleTree());
+    expect(mermaid.split('\n')).toEqual([
+        'graph TD',
+        '    n0["50"]',
+        '    n0 -->|L| n1["30"]',
+        '    n1 -->|L| n2["20"]',
+        '    n1 -->|R| n3["40"]',
+        '    n0 -->|R| n4["70"]',
+        '    n4 -->|L| null0(("∅"))',
+        '    n4 -->|R| n5["80"]',
+        '']);
+    expect(toMermaid(sampleTree(), {direction: 'LR'}).startsWith('graph LR\n')).toBeTruthy();
+});
+
+test('Annotations', () => {
+    const avl = sampleTree(AVLTree);
+    expect(toBoxDrawing(avl, {annotate: ['height', 'size']}).split('\n')[0]).toBe('50 (h=2, size=6)');
+    const rb = sampleTree(RedBlackTree);
+    expect(toDot(rb, {annotate: ['color']})).toContain('[label="50 (black)"]');
+    expect(toMermaid(rb, {annotate: (node) => node.isLeaf() ? 'leaf' : ''})).toContain('["20 (leaf)"]');
+    // annotations that do not apply to a node are skipped
+    expect(toBoxDrawing(sampleTree(), {annotate: ['height', 'color']}).split('\n')[0]).toBe('50');
+    // multisets show the count by default
+    let multi = new BinarySearchTree(undefined, {multiset: true});
+    [1, 1, 2].forEach(k => multi.insert(k));
+    expect(toBoxDrawing(multi).split('\n')[0]).toBe('1 (x2)');
+    expect(() => toDot(multi, {annotate: ['weight']})).toThrow('Unknown annotation');
+    // custom key format
+    expect(toBoxDrawing(multi, {format: (k) => `<${k}>`, annotate: []}).split('\n')[0]).toBe('<1>');
+});
+
+test('Deep trees', () => {
+    let tree = new BinarySearchTree();
+    for (let i = 0; i < 1000; i++)
+        tree.insert(i);
+    const lines = toBoxDrawing(tree, {showNull: false}).split('\n');
+    expect(lines.length).toBe(1001);
+    expect(lines[999].endsWith('└─R─ 999')).toBeTruthy();
+    expect(toDot(tree).length).toBeGreaterThan(0);
+});